@@ -14,6 +14,7 @@ import fs from 'node:fs';
 import fsp from 'node:fs/promises';
 import { dirname, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { readLines } from './line-reader.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -194,6 +195,30 @@ console.log('\n=== FileHandle: Reusable File Handles ===\n');
 // const data2 = await fileHandler.read(); // Continues from last position
 // await fileHandler.close();
 
+// ============================================
+// Method 5: Line by Line (readLines over FileHandle.read)
+// ============================================
+
+// Every method above ends with the whole file in one string. A multi-GB production log does not
+// fit (and past ~512 MB a string cannot even be created). readLines() (see line-reader.js) reads
+// 64 KiB at a time into one reused Buffer and yields one line at a time, with its byte offset
+async function readLogLineByLine() {
+  try {
+    let lastOffset = 0;
+    for await (const { text, offset, nextOffset } of readLines(logTextFile)) {
+      console.log(`readLines: byte ${offset}:`, text);
+      lastOffset = nextOffset;
+    }
+    // Later, after more lines were appended: continue at the first new line
+    // for await (const line of readLines(logTextFile, { startOffset: lastOffset })) { ... }
+    console.log(`readLines: next run starts at byte ${lastOffset}`);
+  } catch (err) {
+    console.error('readLines error:', err.message);
+  }
+}
+
+readLogLineByLine();
+
 // ============================================
 // Summary
 // ============================================
@@ -206,4 +231,5 @@ console.log('\n=== FileHandle: Reusable File Handles ===\n');
  * - fs.promises.readFile(): Promise-based (recommended for simple reads)
  * - fs.readFileSync(): Synchronous (use only for startup/config)
  * - FileHandle.read(): Reusable handle (recommended for repeated reads)
+ * - readLines(): Line by line over FileHandle.read() (recommended for large text files and logs)
  */
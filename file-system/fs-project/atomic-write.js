@@ -0,0 +1,95 @@
+/**
+ * Atomic Writes: write a temp file, then rename it over the target
+ *
+ * fs.writeFile() truncates the target first and then writes. A crash (or a full disk) in between
+ * leaves a half-written file, and a reader that opens it at the wrong moment sees a partial one.
+ * rename() replaces a directory entry in one step, so readers see either the old file or the new
+ * one, never a mix:
+ *
+ *   1. write the new content to .name.<random>.tmp in the SAME directory
+ *      (rename only works within one file system)
+ *   2. optionally fsync it: make sure the bytes are on the disk, not only in the page cache
+ *   3. rename it over the target
+ *   4. optionally fsync the directory, so the rename itself survives a power loss
+ *
+ * Without fsync the write is still atomic for other processes, but after a power loss the new
+ * file may be empty: the rename can reach the disk before the data does. fsync is slow (it waits
+ * for the disk), so it is opt-in (FS_PROJECT_FSYNC=1).
+ *
+ * The new file keeps the permission bits of the file it replaces.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - rename(), file descriptors, fsync
+ * - [Buffers](../../buffers/) - Content is written as a Buffer
+ */
+
+import { randomBytes } from 'node:crypto';
+import { basename, dirname, join } from 'node:path';
+import { diskFs } from './fs-adapter.js';
+
+/**
+ * Replace the content of a file atomically (the file is created if it does not exist).
+ *
+ * @param {string} path - Absolute path of the file
+ * @param {Buffer | string} data - The complete new content (strings are written as UTF-8)
+ * @param {Object} [options]
+ * @param {boolean} [options.fsync] - Flush the file and its directory to disk before returning
+ * @param {Object} [options.fs] - File system adapter (see fs-adapter.js)
+ */
+async function writeFileAtomic(path, data, { fsync = false, fs = diskFs } = {}) {
+  const dir = dirname(path);
+  // Hidden and random: never collides with a real file or with another writer's temp file
+  const tempPath = join(dir, `.${basename(path)}.${randomBytes(6).toString('hex')}.tmp`);
+
+  // 'wx': exclusive creation, fail instead of reusing a file that happens to exist
+  const tempHandle = await fs.open(tempPath, 'wx');
+  try {
+    await tempHandle.writeFile(data);
+    const mode = await modeOf(path, fs);
+    if (mode !== null) {
+      await tempHandle.chmod(mode);
+    }
+    if (fsync) {
+      await tempHandle.sync();
+    }
+    await tempHandle.close();
+    await fs.rename(tempPath, path);
+  } catch (error) {
+    // Never leave the temp file behind; the target is untouched
+    await tempHandle.close().catch(() => {});
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  if (fsync) {
+    await syncDirectory(dir, fs);
+  }
+}
+
+async function modeOf(path, fs) {
+  try {
+    return (await fs.stat(path)).mode & 0o7777;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function syncDirectory(dir, fs) {
+  let dirHandle;
+  try {
+    dirHandle = await fs.open(dir, 'r');
+    await dirHandle.sync();
+  } catch (error) {
+    // Windows cannot open or fsync a directory; the rename is still atomic there
+    if (!['EISDIR', 'EPERM', 'EACCES', 'EINVAL'].includes(error.code)) {
+      throw error;
+    }
+  } finally {
+    await dirHandle?.close();
+  }
+}
+
+export { writeFileAtomic };
@@ -0,0 +1,87 @@
+/**
+ * Audit Query: print the audit log entries that match a path, a verb or a time range
+ *
+ *   node file-system/fs-project/audit-query.js --path /srv/data/reports
+ *   node file-system/fs-project/audit-query.js --verb deleteFile --since 2026-01-05
+ *   node file-system/fs-project/audit-query.js --since 2026-01-05T09:00:00Z --until 2026-01-05T10:00Z
+ *
+ * Options (all optional; given ones must all match):
+ *   --path <path>    entries for this file, or for anything inside this directory
+ *   --verb <verb>    entries of this verb (addToFile, deleteFile, ...)
+ *   --since <time>   entries at or after this time (anything new Date() accepts)
+ *   --until <time>   entries at or before this time
+ *   --file <file>    audit log to read (default: FS_PROJECT_AUDIT_FILE, see config.js)
+ *
+ * Matching entries are printed as JSON Lines, oldest first, rotated files included, so the
+ * output can be piped into jq or another tool. See audit.js for the entry format.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - Reading files line by line
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - for await
+ */
+
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { readAuditLog } from './audit.js';
+import config from './config.js';
+
+const OPTIONS = {
+  path: { type: 'string' },
+  verb: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  file: { type: 'string' },
+};
+
+/**
+ * Turn command line arguments into readAuditLog() filters.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ file: string, filters: Object }}
+ * @throws {Error} For an unknown option or a time that is not a date
+ */
+function parseQuery(argv) {
+  const { values } = parseArgs({ args: argv, options: OPTIONS, strict: true });
+  const filters = { verb: values.verb };
+  if (values.path) {
+    filters.path = resolve(values.path);
+  }
+  for (const name of ['since', 'until']) {
+    if (values[name] === undefined) {
+      continue;
+    }
+    const time = new Date(values[name]);
+    if (Number.isNaN(time.getTime())) {
+      throw new Error(`--${name} "${values[name]}" is not a valid time`);
+    }
+    filters[name] = time;
+  }
+  return { file: resolve(values.file ?? config.auditFile), filters };
+}
+
+async function main() {
+  let query;
+  try {
+    query = parseQuery(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  let count = 0;
+  for await (const entry of readAuditLog(query.file, query.filters)) {
+    console.log(JSON.stringify(entry));
+    count++;
+  }
+  // To stderr, so the printed entries stay valid JSON Lines
+  console.error(`${count} matching entr${count === 1 ? 'y' : 'ies'} in ${query.file}`);
+}
+
+// Only when started with `node audit-query.js`, not when imported
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export { parseQuery };
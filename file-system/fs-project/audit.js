@@ -0,0 +1,193 @@
+/**
+ * Audit Log: a durable JSON Lines record of everything the watcher did to the file system
+ *
+ * The result log (see results.js) answers the writer of a command: did my command work? The
+ * audit log answers an auditor: what happened to this file, and when? So its entries are about
+ * the files, not the command text:
+ *
+ *   {"timestamp":"2026-01-05T10:00:00.000Z","id":"job-42","verb":"addToFile",
+ *    "paths":["/srv/data/notes.txt"],"bytes":12,"outcome":"ok","code":null,"durationMs":1.84}
+ *
+ * - paths: every path argument, resolved to an absolute path inside the sandbox
+ * - bytes: content bytes the command wrote (0 for commands that write none, or that failed)
+ * - outcome: 'ok', 'error' (it ran and failed), 'rejected' (refused by the sandbox or a quota,
+ *   nothing was attempted), or 'rolled-back' / 'rollback-failed' (a failed transaction reverted
+ *   this step; logged when the rollback happens, after the step's own 'ok' entry)
+ *
+ * Dry runs, held commands and lines that did not parse change nothing and are not logged.
+ *
+ * Durable: every entry is appended on its own and, with FS_PROJECT_FSYNC=1, flushed to disk
+ * (FileHandle.datasync()) before the next command runs.
+ *
+ * Rotation by size: before an entry would push the file past `maxBytes`, the file is renamed
+ * and a new one is started. `keep` old files are kept, newest first:
+ *
+ *   command-audit.jsonl      ← being written
+ *   command-audit.jsonl.1    ← the previous file
+ *   command-audit.jsonl.2
+ *   ...                        the one past `keep` is deleted
+ *
+ * readAuditLog() reads them back oldest first, with filters (see audit-query.js for the
+ * command line tool).
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - Append mode, rename(), fsync
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - Async generators
+ */
+
+import { createReadStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import { isAbsolute, relative } from 'node:path';
+import { createInterface } from 'node:readline';
+
+class AuditLog {
+  /**
+   * @param {string} file - JSON Lines file entries are appended to
+   * @param {Object} options
+   * @param {number} options.maxBytes - Rotate before the file would grow past this size
+   * @param {number} options.keep - Rotated files to keep (at least 1)
+   * @param {boolean} [options.fsync] - Flush every entry to disk
+   * @param {number} size - Current size of `file`
+   */
+  constructor(file, { maxBytes, keep, fsync = false }, size) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.keep = Math.max(1, keep);
+    this.fsync = fsync;
+    this.size = size;
+  }
+
+  /**
+   * Open (or start) an audit log.
+   *
+   * @param {string} file
+   * @param {{ maxBytes: number, keep: number, fsync?: boolean }} options
+   * @returns {Promise<AuditLog>}
+   */
+  static async open(file, options) {
+    let size = 0;
+    try {
+      ({ size } = await fs.stat(file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return new AuditLog(file, options, size);
+  }
+
+  /**
+   * Append one entry, rotating first when it would not fit.
+   *
+   * @param {Object} entry - Plain, JSON-serializable entry (see the module comment)
+   */
+  async write(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const length = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + length > this.maxBytes) {
+      await this._rotate();
+    }
+
+    // 'a': every write lands at the end of the file, whatever else appends to it
+    const fileHandle = await fs.open(this.file, 'a');
+    try {
+      await fileHandle.write(line);
+      if (this.fsync) {
+        // datasync(): the entry itself must reach the disk; the timestamps of the file need not
+        await fileHandle.datasync();
+      }
+    } finally {
+      await fileHandle.close();
+    }
+    this.size += length;
+  }
+
+  /**
+   * file.(keep-1) → file.keep, ..., file.1 → file.2, file → file.1. rename() replaces the
+   * target, so the oldest file drops out on its own.
+   */
+  async _rotate() {
+    for (let index = this.keep - 1; index >= 1; index--) {
+      await renameIfExists(`${this.file}.${index}`, `${this.file}.${index + 1}`);
+    }
+    await renameIfExists(this.file, `${this.file}.1`);
+    this.size = 0;
+  }
+}
+
+async function renameIfExists(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Read the entries of an audit log and its rotated files, oldest first, that match every given
+ * filter.
+ *
+ * @param {string} file - The current audit log file (rotated files are found next to it)
+ * @param {Object} [filters]
+ * @param {string} [filters.path] - Absolute path: entries for this path, or for paths inside it
+ * @param {string} [filters.verb] - Exact verb, e.g. 'deleteFile'
+ * @param {Date} [filters.since] - Entries at or after this time
+ * @param {Date} [filters.until] - Entries at or before this time
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readAuditLog(file, { path, verb, since, until } = {}) {
+  const files = [];
+  for (let index = 1; ; index++) {
+    if (!(await exists(`${file}.${index}`))) {
+      break;
+    }
+    files.unshift(`${file}.${index}`);
+  }
+  if (await exists(file)) {
+    files.push(file);
+  }
+
+  const matches = (entry) => {
+    const time = new Date(entry.timestamp);
+    return (
+      (!verb || entry.verb === verb) &&
+      (!path || entry.paths.some((entryPath) => isSameOrInside(path, entryPath))) &&
+      (!since || time >= since) &&
+      (!until || time <= until)
+    );
+  };
+
+  for (const name of files) {
+    // readline splits the stream into lines without loading the whole file
+    const lines = createInterface({ input: createReadStream(name), crlfDelay: Infinity });
+    for await (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // a line cut short by a crash; the lines around it are intact
+      }
+      if (matches(entry)) {
+        yield entry;
+      }
+    }
+  }
+}
+
+function isSameOrInside(dir, path) {
+  const rel = relative(dir, path);
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+async function exists(path) {
+  try {
+    await fs.access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export { AuditLog, readAuditLog };
@@ -0,0 +1,136 @@
+/**
+ * Checksums: hash a file of any size without loading it
+ *
+ * A hash function turns any number of bytes into a short fixed-size digest. The same bytes
+ * always give the same digest, and changing a single bit changes it completely, so comparing
+ * digests tells whether two files (or a file before and after a transfer) are identical.
+ *
+ * Hashes are incremental: update() can be called once per chunk, and digest() at the end gives
+ * the same result as hashing everything at once. So the file is read through a FileHandle,
+ * 64 KiB at a time into one reused buffer, and fed to the hash; memory use does not depend on
+ * the file size.
+ *
+ *   algorithm  digest            use it for
+ *   sha256     64 hex chars      integrity (default): collisions are infeasible to construct
+ *   md5        32 hex chars      comparing with older tools; NOT safe against deliberate tampering
+ *   crc32      8 hex chars       fast check against accidental corruption only
+ *
+ * sha256 and md5 come from node:crypto. crc32 is not a cryptographic hash; it comes from
+ * node:zlib (zlib.crc32(data, previous) continues from the previous value; Node 20.15+ / 22.2+).
+ * Older versions do not have it, so a table-based crc32 with the same result is used there.
+ *
+ * Related fundamentals:
+ * - [Buffers](../../buffers/) - Chunks arrive as Buffers; digests are shown as hex
+ * - [Memory](../../docs/fundamentals/memory.md) - Reading in chunks keeps memory use constant
+ */
+
+import { createHash } from 'node:crypto';
+// The default import: a named import of crc32 fails to load at all where zlib lacks it
+import zlib from 'node:zlib';
+import { diskFs } from './fs-adapter.js';
+
+const HASH_ALGORITHMS = ['sha256', 'md5', 'crc32'];
+const CHUNK_SIZE = 64 * 1024; // 64 KiB per chunk
+// Digest length (hex characters) → algorithm, to recognize a bare digest in `verify`
+const ALGORITHM_BY_LENGTH = { 64: 'sha256', 32: 'md5', 8: 'crc32' };
+// CRC-32 (IEEE, reflected) polynomial, the one zlib, gzip and PNG use
+const CRC32_POLYNOMIAL = 0xedb88320;
+
+const crc32 = zlib.crc32 ?? tableCrc32;
+let crc32Table = null;
+
+/**
+ * Hash a file chunk by chunk.
+ *
+ * @param {string} path
+ * @param {'sha256' | 'md5' | 'crc32'} [algorithm]
+ * @param {Object} [fs] - File system adapter (see fs-adapter.js)
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function hashFile(path, algorithm = 'sha256', fs = diskFs) {
+  const hasher = createHasher(algorithm);
+  // Reused for every read: update() has consumed a chunk before the next read overwrites it
+  const chunk = Buffer.alloc(CHUNK_SIZE);
+  const fileHandle = await fs.open(path, 'r');
+  try {
+    let position = 0;
+    while (true) {
+      const { bytesRead } = await fileHandle.read(chunk, 0, chunk.length, position);
+      if (bytesRead === 0) {
+        break;
+      }
+      hasher.update(chunk.subarray(0, bytesRead));
+      position += bytesRead;
+    }
+  } finally {
+    await fileHandle.close();
+  }
+  return hasher.digest();
+}
+
+/**
+ * crc32 for Node versions without zlib.crc32: same arguments, same result. The table holds the
+ * CRC of every byte value, so each input byte costs one lookup instead of eight shifts.
+ */
+function tableCrc32(data, value = 0) {
+  crc32Table ??= Uint32Array.from({ length: 256 }, (_, byte) => {
+    let crc = byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ CRC32_POLYNOMIAL : crc >>> 1;
+    }
+    return crc;
+  });
+  let crc = ~value;
+  for (const byte of data) {
+    crc = crc32Table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * One interface for node:crypto hashes and zlib's crc32.
+ */
+function createHasher(algorithm) {
+  if (algorithm === 'crc32') {
+    let value = 0;
+    return {
+      update(chunk) {
+        value = crc32(chunk, value);
+      },
+      digest() {
+        return value.toString(16).padStart(8, '0');
+      },
+    };
+  }
+  const hash = createHash(algorithm);
+  return {
+    update(chunk) {
+      hash.update(chunk);
+    },
+    digest() {
+      return hash.digest('hex');
+    },
+  };
+}
+
+/**
+ * Read an expected hash: `sha256:9f86...` or a bare digest (the algorithm is then known from
+ * its length).
+ *
+ * @param {string} text
+ * @returns {{ algorithm: string, digest: string } | null} null when it is not a valid hash
+ */
+function parseHash(text) {
+  const match = /^(?:([a-z0-9]+):)?([0-9a-f]+)$/i.exec(text);
+  if (!match) {
+    return null;
+  }
+  const digest = match[2].toLowerCase();
+  const algorithm = match[1]?.toLowerCase() ?? ALGORITHM_BY_LENGTH[digest.length];
+  if (!HASH_ALGORITHMS.includes(algorithm)) {
+    return null;
+  }
+  return { algorithm, digest };
+}
+
+export { HASH_ALGORITHMS, hashFile, parseHash };
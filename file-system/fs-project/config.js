@@ -0,0 +1,106 @@
+/**
+ * Watcher Configuration
+ *
+ * One place for every setting of the command watcher. Each value can be overridden through an
+ * environment variable, so the same code runs unchanged on a laptop, in CI or in a container:
+ *
+ *   FS_PROJECT_ROOT=/srv/shared node file-system/fs-project/app.js
+ */
+
+import { delimiter, dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Sandbox root: every command path is resolved against it and may not leave it
+// (see sandbox.js). Defaults to the directory the watcher is started from. The watcher's own
+// code, plugin directories and state files below stay out of reach even when they are inside it.
+const root = process.env.FS_PROJECT_ROOT ?? process.cwd();
+
+const config = {
+  // File the watcher reads commands from
+  commandFile: resolve(process.env.FS_PROJECT_COMMAND_FILE ?? resolve(__dirname, './command.txt')),
+  root,
+  // Deleted files are moved here (see trash.js). A relative path is resolved against the root,
+  // so by default moving a file into it is a cheap rename on the same file system.
+  trashDir: process.env.FS_PROJECT_TRASH_DIR ?? '.trash',
+  // Quiet time (ms) after the last change event before the command file is read (see scheduler.js).
+  // Editors often fire several events per save; they are merged into one batch.
+  settleMs: Number(process.env.FS_PROJECT_SETTLE_MS ?? 100),
+  // How changes are noticed (see watch-backend.js):
+  // 'native': fs.watch, instant (default)
+  // 'poll': stat() every pollIntervalMs, for network mounts and containers where fs.watch is silent
+  // 'auto': fs.watch, switching to polling when its events stop arriving
+  watchBackend: process.env.FS_PROJECT_WATCH ?? 'native',
+  pollIntervalMs: Number(process.env.FS_PROJECT_POLL_MS ?? 1000),
+  // 'snapshot': run the whole command file on every change (default)
+  // 'journal': treat the command file as append-only and run only new lines (see journal.js)
+  // 'inbox': run every new file dropped into the inbox directory as one job (see inbox.js)
+  mode: process.env.FS_PROJECT_MODE ?? 'snapshot',
+  // Where journal mode remembers the last consumed byte offset between restarts
+  journalStateFile: resolve(
+    process.env.FS_PROJECT_JOURNAL_STATE ?? resolve(__dirname, './.command-journal.json'),
+  ),
+  // Directory inbox mode takes jobs from; processing/, done/ and failed/ are created inside it
+  inboxDir: resolve(process.env.FS_PROJECT_INBOX_DIR ?? resolve(__dirname, './inbox')),
+  // Persistent command history used by `undo` (see history.js)
+  historyFile: resolve(
+    process.env.FS_PROJECT_HISTORY_FILE ?? resolve(__dirname, './.command-history.json'),
+  ),
+  // Maximum number of commands kept in the history (oldest are dropped first)
+  historyLimit: Number(process.env.FS_PROJECT_HISTORY_LIMIT ?? 100),
+  // JSON Lines file with one machine-readable result per processed command (see results.js)
+  resultsFile: resolve(
+    process.env.FS_PROJECT_RESULTS_FILE ?? resolve(__dirname, './command-results.jsonl'),
+  ),
+  // Most bytes a read command (show, head, tail, bytes, hex dump) returns, so one command never
+  // puts a whole large file into memory or into the result log (see reader.js). Default 64 KiB.
+  readLimit: Number(process.env.FS_PROJECT_READ_LIMIT ?? 64 * 1024),
+  // How many directory levels `find files matching` and `search for` descend when the command
+  // does not say `up to depth <n>` (1 = only the directory itself; see search.js)
+  searchDepth: Number(process.env.FS_PROJECT_SEARCH_DEPTH ?? 20),
+  // Quotas (see quota.js): a command over a limit is rejected with EQUOTA. 0 turns a limit off.
+  // Longest command text in bytes, heredoc included (default 1 MiB)
+  maxCommandLength: Number(process.env.FS_PROJECT_MAX_COMMAND_LENGTH ?? 1024 * 1024),
+  // Largest size a command may grow a file to (default 100 MiB)
+  maxFileSize: Number(process.env.FS_PROJECT_MAX_FILE_SIZE ?? 100 * 1024 * 1024),
+  // Content bytes all commands together may write in any 60 s (default 256 MiB)
+  maxBytesPerMinute: Number(process.env.FS_PROJECT_MAX_BYTES_PER_MINUTE ?? 256 * 1024 * 1024),
+  // Files all commands together may create in any filesWindowMs (default 1000 per minute)
+  maxFilesCreated: Number(process.env.FS_PROJECT_MAX_FILES_CREATED ?? 1000),
+  filesWindowMs: Number(process.env.FS_PROJECT_FILES_WINDOW_MS ?? 60 * 1000),
+  // JSON Lines audit log of every command that ran or was refused, with absolute paths and
+  // outcomes (see audit.js). Rotated before it grows past auditMaxBytes (default 10 MiB);
+  // auditKeep rotated files are kept (command-audit.jsonl.1, .2, ...)
+  auditFile: resolve(
+    process.env.FS_PROJECT_AUDIT_FILE ?? resolve(__dirname, './command-audit.jsonl'),
+  ),
+  auditMaxBytes: Number(process.env.FS_PROJECT_AUDIT_MAX_BYTES ?? 10 * 1024 * 1024),
+  auditKeep: Number(process.env.FS_PROJECT_AUDIT_KEEP ?? 5),
+  // Flush every file write to disk before moving on (see atomic-write.js). Slower, but a power
+  // loss right after a command can no longer leave an empty file behind (FS_PROJECT_FSYNC=1)
+  fsync: ['1', 'true'].includes(process.env.FS_PROJECT_FSYNC),
+  // Dry run: report what every command would do, change nothing on disk (FS_PROJECT_DRY_RUN=1)
+  dryRun: ['1', 'true'].includes(process.env.FS_PROJECT_DRY_RUN),
+  // 'none': run every command right away (default)
+  // 'destructive': hold deletes, overwriting renames and recursive removals until
+  // `confirm <id>` (see confirmations.js)
+  confirmPolicy: process.env.FS_PROJECT_CONFIRM ?? 'none',
+  // Where held commands wait for their confirmation, and for how long (default 15 minutes)
+  pendingFile: resolve(
+    process.env.FS_PROJECT_PENDING_FILE ?? resolve(__dirname, './.command-pending.json'),
+  ),
+  confirmTtlMs: Number(process.env.FS_PROJECT_CONFIRM_TTL_MS ?? 15 * 60 * 1000),
+  // Directories command plugins are loaded from at startup (see registry.js). The built-in verbs
+  // always load first; FS_PROJECT_PLUGIN_DIRS adds more (separated like PATH: ':' or ';' on Windows)
+  pluginDirs: [
+    resolve(__dirname, './plugins'),
+    ...(process.env.FS_PROJECT_PLUGIN_DIRS ?? '')
+      .split(delimiter)
+      .filter(Boolean)
+      .map((dir) => resolve(dir)),
+  ],
+};
+
+export default config;
@@ -0,0 +1,108 @@
+/**
+ * Pending Confirmations: destructive commands wait here until `confirm <id>` arrives
+ *
+ * With the confirmation policy on (FS_PROJECT_CONFIRM=destructive), a command whose plan says it
+ * destroys data is not executed. It is held instead:
+ *
+ *   @cleanup delete a file ./old.log   → held, nothing happens
+ *   confirm cleanup                    → the held command runs now
+ *
+ * What counts as destructive is decided by the command's plugin (its `plan`, see registry.js):
+ * deleting a file, a rename that would replace an existing target, recursive directory removal.
+ *
+ * Holds are stored in a JSON file, so a confirmation written after a restart still finds its
+ * command. They expire after `ttlMs`: a forgotten hold must not be run by a confirm written
+ * hours later, when the files may look completely different.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - Persistent storage
+ */
+
+import fs from 'node:fs/promises';
+
+class PendingConfirmations {
+  /**
+   * @param {string} file - JSON file the holds are stored in
+   * @param {number} ttlMs - How long a hold waits for its confirmation
+   * @param {Array<{ id: string, command: string, verb: string, heldAt: string }>} entries
+   */
+  constructor(file, ttlMs, entries) {
+    this.file = file;
+    this.ttlMs = ttlMs;
+    this.entries = entries;
+  }
+
+  /**
+   * @param {string} file - JSON file the holds are stored in
+   * @param {number} ttlMs - How long a hold waits for its confirmation
+   * @returns {Promise<PendingConfirmations>}
+   */
+  static async load(file, ttlMs) {
+    try {
+      const entries = JSON.parse(await fs.readFile(file, 'utf-8'));
+      return new PendingConfirmations(file, ttlMs, entries);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(
+          `Pending confirmations ${file} are unreadable (${error.message}); starting empty.`,
+        );
+      }
+      return new PendingConfirmations(file, ttlMs, []);
+    }
+  }
+
+  /**
+   * Hold a command until it is confirmed. A command with the same id replaces the older hold.
+   *
+   * @param {{ id: string, text: string, verb: string }} command - The parsed command
+   */
+  async hold(command) {
+    this._prune();
+    this.entries = this.entries.filter((entry) => entry.id !== command.id);
+    this.entries.push({
+      id: command.id,
+      command: command.text,
+      verb: command.verb,
+      heldAt: new Date().toISOString(),
+    });
+    await this._save();
+  }
+
+  /**
+   * Remove and return the hold with this id.
+   *
+   * @param {string} id - Id of the held command
+   * @returns {Promise<Object | null>} The hold, or null when nothing (unexpired) has that id
+   */
+  async take(id) {
+    this._prune();
+    const entry = this.entries.find((candidate) => candidate.id === id) ?? null;
+    if (entry) {
+      this.entries = this.entries.filter((candidate) => candidate !== entry);
+    }
+    await this._save();
+    return entry;
+  }
+
+  _prune() {
+    const now = Date.now();
+    this.entries = this.entries.filter((entry) => {
+      const expired = now - Date.parse(entry.heldAt) > this.ttlMs;
+      if (expired) {
+        console.log(
+          `The hold on "${entry.command}" (id ${entry.id}) expired without confirmation.`,
+        );
+      }
+      return !expired;
+    });
+  }
+
+  async _save() {
+    // Write-then-rename: a crash mid-write never leaves a half-written file behind
+    const tempFile = `${this.file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(this.entries, null, 2));
+    await fs.rename(tempFile, this.file);
+  }
+}
+
+export { PendingConfirmations };
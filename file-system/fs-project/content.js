@@ -0,0 +1,72 @@
+/**
+ * Content Encodings: turning the text of a command into the bytes that are written
+ *
+ * A command file is text, but a file can hold any bytes. The encoding clause of `add to the
+ * file` says how the text after `this content:` becomes bytes:
+ *
+ *   encoding   text                 bytes
+ *   utf-8      héllo                68 c3 a9 6c 6c 6f   (default: the text as it is)
+ *   utf-16le   hi                   68 00 69 00         (Windows "Unicode" text files)
+ *   latin1     héllo                68 e9 6c 6c 6f      (one byte per character, up to U+00FF)
+ *   base64     AAEC/w==             00 01 02 ff         (any bytes, 4 characters per 3 bytes)
+ *   hex        000102ff             00 01 02 ff         (any bytes, 2 characters per byte)
+ *
+ * base64 and hex can express every byte, including NUL and bytes that are not valid UTF-8. They
+ * ignore whitespace, so a long payload can be split over the lines of a heredoc.
+ *
+ * Buffer.from() does not reject bad input: it silently stops at the first invalid hex digit and
+ * skips invalid base64 characters. Writing half a payload is worse than writing nothing, so the
+ * text is checked first.
+ *
+ * Related fundamentals:
+ * - [Binary Data](../../docs/fundamentals/binary-data.md) - Character encodings, UTF-8 vs UTF-16
+ * - [Buffers](../../buffers/) - Buffer.from(string, encoding)
+ */
+
+// Name in a command → Buffer encoding, and what valid text looks like (whitespace removed)
+const CONTENT_ENCODINGS = {
+  'utf-8': { buffer: 'utf8' },
+  'utf-16le': { buffer: 'utf16le' },
+  latin1: { buffer: 'latin1' },
+  // Standard and URL-safe alphabets; '=' padding only at the end
+  base64: { buffer: 'base64', binary: true, valid: /^[A-Za-z0-9+/_-]*={0,2}$/ },
+  hex: { buffer: 'hex', binary: true, valid: /^(?:[0-9a-fA-F]{2})*$/ },
+};
+
+/**
+ * Look an encoding name up. Only the object's own keys count: a plain object also "has"
+ * constructor, toString and __proto__, and `as constructor` must not pass for utf-8.
+ *
+ * @param {string} encoding - Name as written in the command (any case)
+ * @returns {{ buffer: string, binary?: boolean, valid?: RegExp } | null}
+ */
+function contentEncoding(encoding) {
+  const name = encoding.toLowerCase();
+  return Object.hasOwn(CONTENT_ENCODINGS, name) ? CONTENT_ENCODINGS[name] : null;
+}
+
+/**
+ * Decode the content of a command.
+ *
+ * @param {string} content - Text after `this content:` (or a heredoc)
+ * @param {string} [encoding] - A key of CONTENT_ENCODINGS
+ * @returns {Buffer | null} null when the encoding is unknown or the text is not valid for it
+ */
+function decodeContent(content, encoding = 'utf-8') {
+  const format = contentEncoding(encoding);
+  if (!format) {
+    return null;
+  }
+  if (!format.binary) {
+    return Buffer.from(content, format.buffer);
+  }
+
+  const compact = content.replace(/\s+/g, '');
+  // One character left over after groups of four can never be base64 (it holds only 6 bits)
+  if (!format.valid.test(compact) || compact.replace(/=+$/, '').length % 4 === 1) {
+    return null;
+  }
+  return Buffer.from(compact, format.buffer);
+}
+
+export { CONTENT_ENCODINGS, contentEncoding, decodeContent };
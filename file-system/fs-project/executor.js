@@ -0,0 +1,436 @@
+/**
+ * Script Executor: runs parsed units in order, with transactional rollback
+ *
+ * - Single commands run one after another; a failure is reported and the next line still runs
+ * - Transactions (begin/commit blocks) are all-or-nothing: when a step fails, the undo steps of
+ *   every earlier step in the block are applied in reverse order, and the rest of the block is
+ *   skipped
+ *
+ * Every processed line produces one machine-readable result (see results.js).
+ * Successful commands are recorded in the command history (see history.js) so they can be undone
+ * later. Steps of a transaction are recorded only once the whole block has committed.
+ *
+ * Rollback is best effort: if another process changes the same files in between, a revert step
+ * can fail too. That is reported, and the remaining revert steps are still attempted.
+ *
+ * Related fundamentals:
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - Sequential awaits keep steps ordered
+ */
+
+import { randomUUID } from 'node:crypto';
+import { resolve } from 'node:path';
+import { performance } from 'node:perf_hooks';
+import { revert } from './operations.js';
+import { SandboxError } from './sandbox.js';
+
+/**
+ * Resolve every path argument of a command inside the sandbox.
+ * Handlers only ever see absolute paths that passed the sandbox check.
+ */
+async function resolvePaths(command, sandbox) {
+  const args = { ...command.args };
+  for (const name of command.pathArgs) {
+    // Commands held for confirmation before readOnlyPathArgs existed count as writing
+    const readOnly = command.readOnlyPathArgs?.includes(name) ?? false;
+    args[name] = await sandbox.resolve(args[name], { readOnly });
+  }
+  return args;
+}
+
+/**
+ * Dispatch one parsed command to the handler of its plugin (see registry.js).
+ *
+ * With quotas (see quota.js), the command length is checked first, and what the command would
+ * write or create is checked right before the handler runs (not in a dry run, and not while it
+ * is held); over a limit, the command is rejected with EQUOTA.
+ *
+ * With an audit log (see audit.js), every command that ran or was refused leaves one entry.
+ *
+ * Handlers never import node:fs; they work on `context.fs`, so the same commands run against the
+ * disk or against memory (see fs-adapter.js). Rollbacks revert on the same adapter.
+ *
+ * @param {{ id: string, verb: string, args: Object, pathArgs: string[], readOnlyPathArgs: string[], text: string }} command - Output of parseCommand()
+ * @param {Object} context - Shared execution context
+ * @param {Object} context.fs - File system adapter every handler works on (see fs-adapter.js)
+ * @param {import('./sandbox.js').Sandbox} context.sandbox - Resolves and checks every path
+ * @param {import('./history.js').CommandHistory} context.history - Records commands for undo
+ * @param {import('./results.js').ResultLog} context.results - Receives one result per command
+ * @param {import('./registry.js').CommandRegistry} context.registry - Handlers by verb
+ * @param {import('./trash.js').Trash} context.trash - Where deleted files go
+ * @param {number} context.readLimit - Maximum bytes of output of one read command (see reader.js)
+ * @param {number} context.searchDepth - Default depth limit of find and search (see search.js)
+ * @param {boolean} context.fsync - Flush atomic writes to disk (see atomic-write.js)
+ * @param {boolean} context.dryRun - Report what would happen instead of doing it
+ * @param {import('./confirmations.js').PendingConfirmations | null} context.confirmations -
+ *   Where destructive commands wait for `confirm <id>`; null when the policy is off
+ * @param {import('node:events').EventEmitter} [context.events] - Receives a 'command' event
+ *   before each command of a script runs (see watcher.js)
+ * @param {import('./quota.js').QuotaTracker} [context.quota] - Limits and usage counters
+ * @param {import('./audit.js').AuditLog} [context.audit] - Receives one entry per command that
+ *   ran or was refused
+ * @param {Object} [options]
+ * @param {boolean} [options.confirmed] - The command was confirmed, never hold it again
+ * @param {boolean} [options.inTransaction] - The command is a step of a begin/commit block
+ * @param {boolean} [options.audited] - false: write no audit entry, because the command runs
+ *   inside another one (confirm) whose own entry covers it
+ * @returns {Promise<{ status: string, code?: string, undo?: Array<Object>, plan?: string, output?: string, quota?: string }>}
+ *   status is 'ok', 'error' (the operation failed), 'rejected' (it was never attempted),
+ *   'planned' (dry run) or 'held' (waiting for confirmation)
+ */
+async function executeCommand(command, context, options = {}) {
+  const startedAt = performance.now();
+  const auditContext = options.audited === false ? { ...context, audit: null } : context;
+
+  const tooLong = context.quota?.checkCommand(command.text);
+  if (tooLong) {
+    console.log(`Rejected: ${tooLong.message}. The command was not executed.`);
+    const outcome = { status: 'rejected', code: 'EQUOTA', quota: tooLong.limit };
+    await audit(auditContext, command, { outcome, startedAt });
+    return outcome;
+  }
+
+  let args;
+  try {
+    args = await resolvePaths(command, context.sandbox);
+  } catch (error) {
+    if (error instanceof SandboxError) {
+      console.log(`Rejected: ${error.message}. The command "${command.text}" was not executed.`);
+    } else {
+      console.log(`Could not resolve the paths of "${command.text}": ${error.message}`);
+    }
+    const outcome = { status: 'rejected', code: error.code ?? 'EUNKNOWN' };
+    await audit(auditContext, command, { outcome, startedAt });
+    return outcome;
+  }
+
+  // What the command would write and create: for the quotas, and the bytes of its audit entry
+  const usage = context.quota || context.audit ? await usageOf(command, args, context) : null;
+  const outcome = await dispatchCommand(command, args, usage, context, options);
+  await audit(auditContext, command, { args, usage, outcome, startedAt });
+  return outcome;
+}
+
+/**
+ * Run the handler, unless the command is only planned (dry run), held for a confirmation or
+ * over a quota.
+ */
+async function dispatchCommand(
+  command,
+  args,
+  usage,
+  context,
+  { confirmed = false, inTransaction = false },
+) {
+  const handler = context.registry.handlerFor(command.verb);
+  if (!handler) {
+    console.log(`Error: No handler for command "${command.verb}".`);
+    return { status: 'error', code: 'ENOSYS' };
+  }
+
+  try {
+    const mustConfirm = context.confirmations !== null && !confirmed;
+    if (context.dryRun || mustConfirm) {
+      const { action, destructive } = await planCommand(command, args, context);
+
+      if (context.dryRun) {
+        const note = destructive && mustConfirm ? ` (needs "confirm ${command.id}")` : '';
+        console.log(`Dry run: "${command.text}" would ${action}${note}.`);
+        return { status: 'planned', plan: action, undo: [] };
+      }
+
+      if (destructive) {
+        if (inTransaction) {
+          // A held step would leave the block half-applied; the block is rolled back instead
+          console.log(
+            `Rejected: "${command.text}" would ${action}. Destructive commands need confirmation and cannot run inside a transaction.`,
+          );
+          return { status: 'rejected', code: 'ECONFIRM', plan: action };
+        }
+        await context.confirmations.hold(command);
+        console.log(
+          `Held: "${command.text}" would ${action}. Write "confirm ${command.id}" to run it.`,
+        );
+        return { status: 'held', plan: action };
+      }
+    }
+
+    if (usage && context.quota) {
+      const over = context.quota.check(usage);
+      if (over) {
+        console.log(`Rejected: "${command.text}" goes over a quota: ${over.message}.`);
+        return { status: 'rejected', code: 'EQUOTA', quota: over.limit };
+      }
+    }
+
+    const outcome = await handler(args, context);
+    if (usage && context.quota && outcome.status === 'ok') {
+      // Kept with the outcome, so a transaction that rolls back can take it back (see rollback())
+      return { ...outcome, counted: context.quota.record(usage) };
+    }
+    return outcome;
+  } catch (error) {
+    // Handlers report expected failures themselves; anything thrown is unexpected
+    console.log(`An unexpected error occurred while running "${command.text}": ${error.message}`);
+    return { status: 'error', code: error.code ?? 'EUNKNOWN' };
+  }
+}
+
+/**
+ * Ask the plugin what the command would do. Plugins without a plan are never destructive.
+ */
+async function planCommand(command, args, context) {
+  const plan = context.registry.planFor(command.verb);
+  if (!plan) {
+    return { action: `run "${command.verb}"`, destructive: false };
+  }
+  return plan(args, context);
+}
+
+/**
+ * Ask the plugin what the command would write and create. Plugins without a usage hook use
+ * nothing that is counted.
+ */
+async function usageOf(command, args, context) {
+  const usage = context.registry.usageFor(command.verb);
+  try {
+    return usage ? await usage(args, context) : null;
+  } catch {
+    // An unreadable path (EACCES, ...): the handler runs into the same error and reports it
+    return null;
+  }
+}
+
+// Outcomes that did something, or were refused; dry runs and held commands changed nothing.
+// 'rolled-back' and 'rollback-failed' come from reverting a step of a failed transaction
+const AUDITED_STATUSES = ['ok', 'error', 'rejected', 'rolled-back', 'rollback-failed'];
+
+/**
+ * Write the audit entry of a command (see audit.js). A failing audit write is reported but does
+ * not fail the command: the change has already happened.
+ *
+ * @param {Object} context
+ * @param {Object} command - Output of parseCommand()
+ * @param {Object} details
+ * @param {Object} [details.args] - Resolved arguments; without them the paths are resolved
+ *   against the sandbox root as written
+ * @param {{ bytes?: number } | null} [details.usage] - From the plugin's usage hook
+ * @param {{ status: string, code?: string }} details.outcome
+ * @param {number} details.startedAt - performance.now() when the command started
+ */
+async function audit(context, command, { args, usage, outcome, startedAt }) {
+  if (!context.audit || !AUDITED_STATUSES.includes(outcome.status)) {
+    return;
+  }
+  try {
+    await context.audit.write({
+      timestamp: new Date().toISOString(),
+      id: command.id,
+      verb: command.verb,
+      paths: auditPaths(command, args, context),
+      bytes: outcome.status === 'ok' ? (usage?.bytes ?? 0) : 0,
+      outcome: outcome.status,
+      code: outcome.code ?? null,
+      durationMs: Number((performance.now() - startedAt).toFixed(3)),
+    });
+  } catch (error) {
+    console.log(`Could not write the audit log: ${error.message}`);
+  }
+}
+
+function auditPaths(command, args, context) {
+  return command.pathArgs.map((name) =>
+    args ? args[name] : resolve(context.sandbox.root, command.args[name]),
+  );
+}
+
+/**
+ * Run one command and time it.
+ *
+ * @returns {Promise<{ outcome: Object, result: Object }>} the handler outcome, and the
+ *   machine-readable result written to the result log (see results.js)
+ */
+async function runCommand(command, line, context, options) {
+  context.events?.emit('command', {
+    id: command.id,
+    line,
+    command: command.text,
+    verb: command.verb,
+    args: command.args,
+  });
+  const startedAt = performance.now();
+  const outcome = await executeCommand(command, context, options);
+
+  const result = {
+    id: command.id,
+    line,
+    command: command.text,
+    verb: command.verb,
+    args: command.args,
+    status: outcome.status,
+    code: outcome.code ?? null,
+    durationMs: Number((performance.now() - startedAt).toFixed(3)),
+    finishedAt: new Date().toISOString(),
+    ...(outcome.plan && { plan: outcome.plan }),
+    ...(outcome.quota && { quota: outcome.quota }),
+    ...(outcome.output !== undefined && { output: outcome.output, truncated: outcome.truncated }),
+  };
+
+  return { outcome, result };
+}
+
+/**
+ * Run a begin/commit block. Returns true when every step succeeded.
+ *
+ * Results are written once the outcome of the whole block is known, so a step that succeeded
+ * but was rolled back is reported as 'rolled-back', not 'ok'.
+ */
+async function executeTransaction(unit, context) {
+  console.log(`Transaction (line ${unit.line}): ${unit.commands.length} step(s)`);
+  // Undo steps of the completed commands, in execution order
+  const completed = [];
+  const results = [];
+  let failed = false;
+
+  for (const { line, command } of unit.commands) {
+    if (failed) {
+      results.push({ ...skippedResult(command, line), transaction: unit.line });
+      continue;
+    }
+
+    const { outcome, result: stepResult } = await runCommand(command, line, context, {
+      inTransaction: true,
+    });
+    const result = { ...stepResult, transaction: unit.line };
+    results.push(result);
+
+    if (outcome.status === 'planned') {
+      // Dry run: nothing happened, so there is nothing to roll back or record
+      continue;
+    }
+
+    if (outcome.status !== 'ok') {
+      console.log(
+        `Transaction (line ${unit.line}) failed at line ${line} (${outcome.code}); rolling back ${completed.length} step(s).`,
+      );
+      await rollback(completed, context);
+      for (const step of completed) {
+        step.result.status = 'rolled-back';
+      }
+      failed = true;
+      continue;
+    }
+
+    completed.push({ line, command, undo: outcome.undo, counted: outcome.counted, result });
+  }
+
+  if (!failed && context.dryRun) {
+    console.log(`Dry run: transaction (line ${unit.line}) would run ${results.length} step(s).`);
+  } else if (!failed) {
+    console.log(`Transaction (line ${unit.line}) committed.`);
+    for (const { command, undo } of completed) {
+      await context.history.record(command, undo);
+    }
+  }
+
+  for (const result of results) {
+    await context.results.write(result);
+  }
+  return !failed;
+}
+
+function skippedResult(command, line) {
+  return {
+    id: command.id,
+    line,
+    command: command.text,
+    verb: command.verb,
+    args: command.args,
+    status: 'skipped',
+    code: null,
+    durationMs: 0,
+    finishedAt: new Date().toISOString(),
+  };
+}
+
+async function rollback(completed, context) {
+  // Reverse order: the last change is undone first, so every undo step sees the state it expects
+  for (const { line, command, undo, counted } of [...completed].reverse()) {
+    const startedAt = performance.now();
+    let outcome;
+    try {
+      await revert(undo, context.fs);
+      console.log(`  Reverted line ${line}.`);
+      outcome = { status: 'rolled-back' };
+      // What the step wrote is gone, so it no longer counts against the quotas
+      if (counted) {
+        context.quota.forget(counted);
+      }
+    } catch (error) {
+      console.log(`  Could not revert line ${line}: ${error.message}`);
+      outcome = { status: 'rollback-failed', code: error.code ?? 'EUNKNOWN' };
+    }
+    // The step's own 'ok' entry is already in the audit log; this one records the revert
+    await audit(context, command, { outcome, startedAt });
+  }
+}
+
+async function reportParseError(unit, context) {
+  const errors = unit.errors ?? [unit];
+  if (unit.blockLine) {
+    console.log(`Error: Transaction (line ${unit.blockLine}) was rejected; nothing in it was run.`);
+  }
+  for (const { line, text, error } of errors) {
+    console.log(`Error on line ${line}: ${error.message}`);
+    // Point at the exact column where parsing failed
+    console.log(`  ${text}`);
+    console.log(`  ${' '.repeat(error.column - 1)}^`);
+
+    await context.results.write({
+      id: error.commandId ?? randomUUID(),
+      line,
+      command: text,
+      verb: null,
+      args: null,
+      status: 'rejected',
+      code: error.code,
+      message: error.reason,
+      column: error.column,
+      durationMs: 0,
+      finishedAt: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * Execute every unit of a script, in order.
+ *
+ * @param {Array<Object>} units - Output of parseScript()
+ * @param {Object} context - Shared execution context (see executeCommand)
+ */
+async function executeScript(units, context) {
+  for (const unit of units) {
+    // Commands without an `@id` prefix still need an id for the result log
+    for (const { command } of unit.commands ?? (unit.command ? [unit] : [])) {
+      command.id ??= randomUUID();
+    }
+
+    switch (unit.type) {
+      case 'command': {
+        const { outcome, result } = await runCommand(unit.command, unit.line, context);
+        if (outcome.status === 'ok') {
+          await context.history.record(unit.command, outcome.undo);
+        }
+        await context.results.write(result);
+        break;
+      }
+      case 'transaction':
+        await executeTransaction(unit, context);
+        break;
+      case 'error':
+        await reportParseError(unit, context);
+        break;
+    }
+  }
+}
+
+export { executeCommand, executeScript };
@@ -0,0 +1,86 @@
+/**
+ * File System Adapters: every file the commands touch is reached through one of these
+ *
+ * The handlers in plugins/ and the helpers they use (atomic-write.js, operations.js, trash.js,
+ * sandbox.js, search.js, checksum.js) do not import node:fs/promises. Handlers call the adapter
+ * in `context.fs`; helpers take it as a parameter. So the same commands can run against the
+ * local disk, against memory in a test, or against anything else that can be made to look like
+ * a file system.
+ *
+ * An adapter is any object with these methods. They take the same arguments, return the same
+ * things and fail the same way as the node:fs/promises function of the same name:
+ *
+ *   files        open  readFile  writeFile  appendFile  copyFile  truncate
+ *   entries      rename  unlink  mkdir  rmdir  rm  readdir  opendir
+ *   metadata     stat  lstat  access  chmod  utimes  realpath  readlink
+ *   changes      watch
+ *
+ * open() resolves to a FileHandle-like object (read, write, writeFile, stat, chmod, truncate,
+ * sync, datasync, close), and errors carry the usual `code` ('ENOENT', 'EEXIST', 'ENOSPC', ...):
+ * every handler decides what to report by looking at it.
+ *
+ * Two adapters ship with the project:
+ *
+ *   adapter    keeps files                      use it for
+ *   diskFs     on the disk (node:fs/promises)   the watcher (default)
+ *   MemoryFs   in memory (see memory-fs.js)     tests: same result on every machine, nothing
+ *                                               to clean up, and errors on demand (a full disk,
+ *                                               a permission denied, ...)
+ *
+ * The watcher takes one as its `fs` option (see watcher.js). It is used for the sandbox, the
+ * trash, the command file or inbox, and every command. The watcher's own records (history,
+ * result log, audit log, journal offset, pending confirmations) always stay on the disk: they
+ * describe the run, they are not part of the tree the commands work on.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - The fs/promises API, error codes
+ */
+
+import fs from 'node:fs/promises';
+
+// Everything the project calls on an adapter
+const ADAPTER_METHODS = [
+  'open',
+  'readFile',
+  'writeFile',
+  'appendFile',
+  'copyFile',
+  'truncate',
+  'rename',
+  'unlink',
+  'mkdir',
+  'rmdir',
+  'rm',
+  'readdir',
+  'opendir',
+  'stat',
+  'lstat',
+  'access',
+  'chmod',
+  'utimes',
+  'realpath',
+  'readlink',
+  'watch',
+];
+
+/**
+ * The real disk. node:fs/promises functions do not use `this`, so they can be listed as they are.
+ */
+const diskFs = Object.freeze(
+  Object.fromEntries(ADAPTER_METHODS.map((method) => [method, fs[method]])),
+);
+
+/**
+ * Fail early, with every missing method named, instead of in the middle of a command.
+ *
+ * @param {Object} adapter
+ * @throws {Error} When a method of the adapter interface is missing
+ */
+function checkAdapter(adapter) {
+  const missing = ADAPTER_METHODS.filter((method) => typeof adapter?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`The file system adapter is missing: ${missing.join(', ')}`);
+  }
+}
+
+export { ADAPTER_METHODS, checkAdapter, diskFs };
@@ -0,0 +1,160 @@
+/**
+ * Command History: a persistent record of executed commands, with undo
+ *
+ * Every command that changed something is stored together with its undo steps (see operations.js):
+ * where the deleted file went in the trash, the rename pair, the size before an append, ... The
+ * store is a JSON file, so `undo last command` still works after the watcher was restarted.
+ *
+ *   undo last command   → revert the most recent entry
+ *   undo 3              → revert the 3 most recent entries, newest first
+ *
+ * Undo stops at the first entry that cannot be reverted: a recursive directory removal (ENOTSUP),
+ * or a file that was changed again by someone else since (ECONFLICT: every undo step remembers
+ * the size and modification time the command left the file with, see operations.js). Entries
+ * that were reverted are removed from the history; the failing entry and everything older stay.
+ *
+ * ⚠️ File contents replaced by a rename are kept in the history file (base64). Replacing large
+ * files makes the history large; `limit` bounds the number of entries, not their size.
+ * (Deleted files are not copied into the history: they wait in the trash, see trash.js.)
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - Persistent storage
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - Sequential async steps
+ */
+
+import fs from 'node:fs/promises';
+import { revert, stepPaths } from './operations.js';
+
+class CommandHistory {
+  /**
+   * @param {string} file - JSON file the history is stored in
+   * @param {number} limit - Maximum number of entries kept (oldest are dropped first)
+   * @param {{ nextId: number, entries: Array<Object> }} data - Loaded history
+   */
+  constructor(file, limit, data) {
+    this.file = file;
+    this.limit = limit;
+    this.data = data;
+  }
+
+  /**
+   * @param {string} file - JSON file the history is stored in
+   * @param {number} limit - Maximum number of entries kept
+   * @returns {Promise<CommandHistory>}
+   */
+  static async load(file, limit) {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+      return new CommandHistory(file, limit, data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`History ${file} is unreadable (${error.message}); starting a new one.`);
+      }
+      return new CommandHistory(file, limit, { nextId: 1, entries: [] });
+    }
+  }
+
+  /**
+   * Record a successfully executed command.
+   * Read-only commands (empty undo list) are not recorded: there is nothing to undo.
+   *
+   * @param {{ text: string, verb: string }} command - The parsed command
+   * @param {Array<Object> | null} undo - Undo steps; null when it cannot be reverted
+   */
+  async record(command, undo) {
+    if (Array.isArray(undo) && undo.length === 0) {
+      return;
+    }
+
+    this.data.entries.push({
+      id: this.data.nextId++,
+      command: command.text,
+      verb: command.verb,
+      executedAt: new Date().toISOString(),
+      undo,
+    });
+
+    if (this.data.entries.length > this.limit) {
+      this.data.entries.splice(0, this.data.entries.length - this.limit);
+    }
+
+    await this._save();
+  }
+
+  /**
+   * The entries undo(count) would revert, newest first (without reverting anything).
+   *
+   * @param {number} count
+   * @returns {Array<Object>}
+   */
+  latest(count) {
+    return this.data.entries.slice(-count).reverse();
+  }
+
+  /**
+   * Revert the most recent entries, newest first.
+   *
+   * @param {number} count - How many entries to revert
+   * @param {Object} fs - File system adapter the commands ran on (the history file itself is
+   *   always on disk)
+   * @param {(path: string) => boolean} allows - Whether an undo step may act on an absolute path.
+   *   The history file can be edited between commands, so every path is checked before replaying
+   * @returns {Promise<{ reverted: number, code?: string }>} code is set when undo stopped early
+   */
+  async undo(count, fs, allows) {
+    const { entries } = this.data;
+    if (entries.length === 0) {
+      console.log('Nothing to undo: the command history is empty.');
+      return { reverted: 0, code: 'ENOENT' };
+    }
+    if (count > entries.length) {
+      console.log(`Only ${entries.length} command(s) in the history; undoing those.`);
+    }
+
+    let reverted = 0;
+    let code;
+
+    while (reverted < count && entries.length > 0) {
+      const entry = entries[entries.length - 1];
+
+      if (entry.undo === null) {
+        console.log(`Cannot undo "${entry.command}": this operation cannot be reverted.`);
+        code = 'ENOTSUP';
+        break;
+      }
+
+      const outside = stepPaths(entry.undo).find(
+        (path) => typeof path !== 'string' || !allows(path),
+      );
+      if (outside !== undefined) {
+        console.log(`Cannot undo "${entry.command}": ${outside} is outside the sandbox root.`);
+        code = 'ESANDBOX';
+        break;
+      }
+
+      try {
+        await revert(entry.undo, fs);
+      } catch (error) {
+        console.log(`Could not undo "${entry.command}": ${error.message}`);
+        code = error.code ?? 'EUNKNOWN';
+        break;
+      }
+
+      entries.pop();
+      reverted++;
+      console.log(`Undid "${entry.command}" (executed at ${entry.executedAt}).`);
+    }
+
+    await this._save();
+    return { reverted, code };
+  }
+
+  async _save() {
+    // Write-then-rename: a crash mid-write never leaves a half-written history file behind
+    const tempFile = `${this.file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(this.data, null, 2));
+    await fs.rename(tempFile, this.file);
+  }
+}
+
+export { CommandHistory };
@@ -0,0 +1,295 @@
+/**
+ * Command Inbox: one file per job instead of one shared command file
+ *
+ * With a single command.txt, two tools writing at the same time overwrite (snapshot mode) or
+ * interleave (journal mode) each other's commands. In inbox mode every job is its own file, and
+ * the file moves through sub-directories as it is processed:
+ *
+ *   inbox/
+ *     job-42.txt               ← a tool drops a new job here
+ *     processing/<watcher>/job-42.txt
+ *                              ← claimed: rename() into the watcher's own claim directory
+ *     done/job-42.txt          ← every command in it succeeded
+ *     done/job-42.txt.result.jsonl
+ *     failed/job-43.txt        ← at least one command failed or was rejected
+ *     failed/job-43.txt.result.jsonl
+ *
+ * Why claim by rename(): on one file system a rename is atomic. When two watchers see the same
+ * job, both try to rename it into processing/; exactly one succeeds and the other gets ENOENT
+ * (the file is no longer in the inbox), so a job never runs twice.
+ *
+ * Every watcher claims into its own directory, named <host>.<process id>.<n>. At startup a
+ * watcher recovers the jobs of claim directories whose watcher is gone (its process no longer
+ * exists), never those of a watcher that is still running. Claim directories of other hosts are
+ * left alone: whether their process still runs cannot be checked from here.
+ *
+ * Writers must not let the watcher see a half-written job. Write it under a name the inbox
+ * ignores (starting with '.' or ending in '.tmp'), then rename it to its final name:
+ *
+ *   echo 'create a file ./a.txt' > inbox/.job-42.txt && mv inbox/.job-42.txt inbox/job-42.txt
+ *
+ * Job names should be unique (a UUID or a timestamp): a job with the same name as one that is
+ * still being processed by the same watcher would replace it there.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - Atomic rename, directories
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - Sequential awaits
+ */
+
+import { hostname } from 'node:os';
+import { basename, extname, join } from 'node:path';
+import { diskFs } from './fs-adapter.js';
+
+// Upper bound for one job file, so a huge job never allocates a huge buffer
+// (see [Memory](../../docs/fundamentals/memory.md) for allocation costs)
+const MAX_JOB_BYTES = 1024 * 1024; // 1 MiB
+// A job fails when one of its results has one of these statuses (see results.js)
+const FAILED_STATUSES = ['error', 'rejected', 'rolled-back', 'skipped'];
+// Names remembered by claim() for isOwnRename(); the oldest are forgotten first
+const MAX_REMEMBERED_CLAIMS = 100;
+
+// Claim directories opened by this process and not closed yet; their jobs are never recovered
+const liveClaimDirs = new Set();
+let claimDirCount = 0;
+
+class CommandInbox {
+  /**
+   * @param {string} dir - The inbox directory
+   * @param {Object} fs - File system adapter the inbox lives on (see fs-adapter.js)
+   */
+  constructor(dir, fs) {
+    this.dir = dir;
+    this.fs = fs;
+    this.processingDir = join(dir, 'processing');
+    this.claimDir = join(this.processingDir, `${hostname()}.${process.pid}.${++claimDirCount}`);
+    this.doneDir = join(dir, 'done');
+    this.failedDir = join(dir, 'failed');
+    this._claimed = new Set(); // Jobs claimed whose rename event may still be on its way
+  }
+
+  /**
+   * Create the inbox and its sub-directories if they are missing.
+   *
+   * @param {string} dir - The inbox directory
+   * @param {Object} [fs] - File system adapter (see fs-adapter.js)
+   * @returns {Promise<CommandInbox>}
+   */
+  static async open(dir, fs = diskFs) {
+    const inbox = new CommandInbox(dir, fs);
+    for (const subdir of [inbox.claimDir, inbox.doneDir, inbox.failedDir]) {
+      await fs.mkdir(subdir, { recursive: true });
+    }
+    liveClaimDirs.add(inbox.claimDir);
+    return inbox;
+  }
+
+  /**
+   * Stop claiming: remove the claim directory (when no job is left in it).
+   */
+  async close() {
+    liveClaimDirs.delete(this.claimDir);
+    try {
+      await this.fs.rmdir(this.claimDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTEMPTY') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Jobs left in processing/ by watchers that stopped mid-job. Like journal mode this is
+   * at-most-once: some of their commands may already have run, so they are moved to failed/
+   * instead of being run again. Jobs of watchers that are still running are not touched.
+   *
+   * @returns {Promise<number>} Number of interrupted jobs
+   */
+  async recover() {
+    let count = 0;
+    const entries = await this.fs.readdir(this.processingDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const dir = join(this.processingDir, entry.name);
+      if (!entry.isDirectory() || !isAbandoned(dir)) {
+        continue;
+      }
+      for (const name of await this._files(dir)) {
+        await this.finish({ name, path: join(dir, name) }, [], {
+          code: 'EINTR',
+          message: 'The watcher stopped while this job was running.',
+        });
+        count++;
+      }
+      await this.fs.rmdir(dir);
+    }
+    return count;
+  }
+
+  /**
+   * Names of the jobs waiting in the inbox, oldest first.
+   *
+   * @returns {Promise<string[]>}
+   */
+  async pending() {
+    const jobs = [];
+    for (const name of await this._files(this.dir)) {
+      try {
+        const { mtimeMs } = await this.fs.stat(join(this.dir, name));
+        jobs.push({ name, mtimeMs });
+      } catch (error) {
+        // Claimed by another watcher between readdir() and stat()
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return jobs
+      .sort((a, b) => a.mtimeMs - b.mtimeMs || a.name.localeCompare(b.name))
+      .map(({ name }) => name);
+  }
+
+  /**
+   * Claim a job by moving it into processing/.
+   *
+   * @param {string} name - File name of the job in the inbox
+   * @returns {Promise<{ name: string, path: string } | null>} null when another watcher was faster
+   */
+  async claim(name) {
+    const path = join(this.claimDir, name);
+    try {
+      await this.fs.rename(join(this.dir, name), path);
+      this._claimed.add(name);
+      if (this._claimed.size > MAX_REMEMBERED_CLAIMS) {
+        this._claimed.delete(this._claimed.values().next().value);
+      }
+      return { name, path };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a watch event on the inbox directory is the echo of claim() moving a job out of it:
+   * such an event brings no new work, and would only start an empty batch. Each claim matches one
+   * event; a job dropped in again under the same name still counts as new.
+   *
+   * @param {string} filename - File name reported by the watch event
+   * @returns {Promise<boolean>}
+   */
+  async isOwnRename(filename) {
+    if (!this._claimed.delete(filename)) {
+      return false;
+    }
+    try {
+      await this.fs.access(join(this.dir, filename));
+      return false;
+    } catch {
+      return true;
+    }
+  }
+
+  /**
+   * Read a claimed job.
+   *
+   * @param {{ path: string }} job - Returned by claim()
+   * @returns {Promise<string>} The job's script text
+   */
+  async read(job) {
+    const { size } = await this.fs.stat(job.path);
+    if (size > MAX_JOB_BYTES) {
+      const error = new Error(`The job is ${size} bytes; at most ${MAX_JOB_BYTES} are allowed.`);
+      error.code = 'EFBIG';
+      throw error;
+    }
+    return this.fs.readFile(job.path, 'utf-8');
+  }
+
+  /**
+   * Move a claimed job to done/ or failed/ and write its results next to it.
+   *
+   * @param {{ name: string, path: string }} job - Returned by claim()
+   * @param {Array<Object>} results - The job's result log lines (see results.js)
+   * @param {{ code?: string, message: string }} [error] - Why the job could not run at all
+   * @returns {Promise<string>} Where the job file ended up
+   */
+  async finish(job, results, error) {
+    const lines = [...results];
+    if (error) {
+      lines.push({
+        job: job.name,
+        status: 'error',
+        code: error.code ?? null,
+        message: error.message,
+        finishedAt: new Date().toISOString(),
+      });
+    }
+    const failed = lines.some((result) => FAILED_STATUSES.includes(result.status));
+    const dir = failed ? this.failedDir : this.doneDir;
+
+    const name = await this._freeName(dir, job.name);
+    // Results first: a tool that sees the job in done/ or failed/ can read them right away
+    await this.fs.writeFile(
+      join(dir, `${name}.result.jsonl`),
+      lines.map((line) => `${JSON.stringify(line)}\n`).join(''),
+    );
+    await this.fs.rename(job.path, join(dir, name));
+    return join(dir, name);
+  }
+
+  /**
+   * Regular files of a directory, without the names the inbox ignores.
+   */
+  async _files(dir) {
+    const entries = await this.fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isFile())
+      .map((entry) => entry.name)
+      .filter((name) => !name.startsWith('.') && !name.endsWith('.tmp'));
+  }
+
+  /**
+   * `name`, or `job-42-1.txt`, `job-42-2.txt`, ... when a job with that name was processed before.
+   * The number goes before the extension, so the file still opens as what it is.
+   */
+  async _freeName(dir, name) {
+    const extension = extname(name);
+    const stem = basename(name, extension);
+    for (let n = 0; ; n++) {
+      const candidate = n === 0 ? name : `${stem}-${n}${extension}`;
+      try {
+        await this.fs.access(join(dir, candidate));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return candidate;
+        }
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Whether a claim directory (<host>.<process id>.<n>) belongs to a watcher that is gone.
+ */
+function isAbandoned(claimDir) {
+  const [, pid, ...host] = basename(claimDir).split('.').reverse();
+  if (host.reverse().join('.') !== hostname()) {
+    return false;
+  }
+  if (Number(pid) === process.pid) {
+    // This process: gone unless it is still open here (else an earlier process had this id)
+    return !liveClaimDirs.has(claimDir);
+  }
+  try {
+    // Signal 0 sends nothing; it only checks whether the process exists
+    process.kill(Number(pid), 0);
+    return false;
+  } catch (error) {
+    // EPERM: it exists, but belongs to another user
+    return error.code === 'ESRCH';
+  }
+}
+
+export { CommandInbox };
@@ -0,0 +1,214 @@
+/**
+ * Command Journal: execute only what was appended since the last read
+ *
+ * In the default mode the watcher re-reads command.txt from position 0 on every change, so
+ * touching the file runs every command in it again. In journal mode command.txt is treated as an
+ * append-only log (like a database write-ahead log or `tail -f`):
+ *
+ * - The byte offset of the last consumed line is remembered
+ * - On a change, only bytes after that offset are read (FileHandle.read with an explicit position)
+ * - Only COMPLETE lines (ending in \n) are executed; a half-written line waits for the next change
+ * - An unfinished begin/commit block also waits until its `commit` line arrives
+ * - A block or heredoc that does not fit in one read (MAX_READ_BYTES) never would: it is rejected
+ *   and skipped up to its `commit` (or closing line), so the lines after it still run
+ * - The offset is saved to a small JSON state file, so a restart continues where it stopped
+ * - So is the number of lines before it: results report line numbers of the whole file, not of
+ *   the appended chunk
+ *
+ * Truncation and rotation:
+ * - File smaller than the saved offset → it was truncated; start again from byte 0
+ * - Different inode than the saved one → it was replaced (rotated); start again from byte 0
+ *
+ * Delivery is at-most-once: the new offset is saved BEFORE the commands run. A crash in the middle
+ * of a batch skips the rest of that batch instead of running (for example) an append twice.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - File positions, inodes, FileHandle
+ * - [Buffers](../../buffers/) - Offsets are counted in bytes, not characters
+ */
+
+import fs from 'node:fs/promises';
+import { findUnfinished, findUnitEnd } from './script.js';
+
+// Upper bound for one read, so a huge append never allocates a huge buffer
+// (see [Memory](../../docs/fundamentals/memory.md) for allocation costs)
+const MAX_READ_BYTES = 1024 * 1024; // 1 MiB
+const NEWLINE = 0x0a; // '\n' (see [Binary Data](../../docs/fundamentals/binary-data.md) for hex values)
+
+class CommandJournal {
+  /**
+   * @param {string} stateFile - Where the offset is persisted
+   * @param {{ offset: number, ino: number | null, lines: number | null, skipping: Object | null }} state
+   *   Last saved state; `lines` is the number of lines before `offset` (null: not counted yet),
+   *   `skipping` what is still open of a rejected unit that is being skipped (see findUnitEnd)
+   */
+  constructor(stateFile, state) {
+    this.stateFile = stateFile;
+    this.state = state;
+  }
+
+  /**
+   * Load the saved offset (or start fresh when there is none).
+   *
+   * @param {string} stateFile - Path of the JSON state file
+   * @returns {Promise<CommandJournal>}
+   */
+  static async load(stateFile) {
+    try {
+      const saved = JSON.parse(await fs.readFile(stateFile, 'utf-8'));
+      // Saved by an older version without `lines`: counted on the next read
+      const lines = saved.lines ?? null;
+      const skipping = saved.skipping ?? null;
+      return new CommandJournal(stateFile, {
+        offset: saved.offset,
+        ino: saved.ino,
+        lines,
+        skipping,
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`Journal state ${stateFile} is unreadable (${error.message}); starting fresh.`);
+      }
+      return new CommandJournal(stateFile, { offset: 0, ino: null, lines: 0, skipping: null });
+    }
+  }
+
+  /**
+   * Read the complete lines appended since the last consumed offset.
+   *
+   * @param {import('node:fs/promises').FileHandle} fileHandle - Open handle of the command file
+   * @returns {Promise<{ text: string, byteLength: number, firstLine: number, lineCount: number } |
+   *   { rejected: { line: number, command: string } } | null>}
+   *   null when nothing new is complete; `firstLine` is the line number of the text's first line.
+   *   `rejected` is a block or heredoc too large to run; it is already skipped, read again
+   */
+  async readAppended(fileHandle) {
+    const { size, ino } = await fileHandle.stat();
+
+    if (this.state.ino === null) {
+      // First run: what is already in the file is history, not new work
+      console.log(`Journal: starting at the end of the command file (byte ${size}).`);
+      const lines = await countLines(fileHandle, size);
+      await this._save({ offset: size, ino, lines, skipping: null });
+      return null;
+    }
+
+    if (ino !== this.state.ino) {
+      console.log('Journal: the command file was replaced (rotated); reading it from the start.');
+      await this._save({ offset: 0, ino, lines: 0, skipping: null });
+    } else if (size < this.state.offset) {
+      console.log('Journal: the command file was truncated; reading it from the start.');
+      await this._save({ offset: 0, ino, lines: 0, skipping: null });
+    } else if (this.state.lines === null) {
+      const lines = await countLines(fileHandle, this.state.offset);
+      await this._save({ ...this.state, lines });
+    }
+
+    const { offset } = this.state;
+    const length = Math.min(size - offset, MAX_READ_BYTES);
+    if (length <= 0) {
+      return null;
+    }
+
+    // Read only the new bytes: position = saved offset (see README.md for FileHandle.read parameters)
+    const buff = Buffer.alloc(length);
+    const { bytesRead } = await fileHandle.read(buff, 0, length, offset);
+
+    const lastNewline = buff.subarray(0, bytesRead).lastIndexOf(NEWLINE);
+    if (lastNewline === -1) {
+      if (bytesRead === MAX_READ_BYTES) {
+        // A single "line" this long is not a command; skip it rather than wait forever
+        console.log(
+          `Journal: skipped a line longer than ${MAX_READ_BYTES} bytes at byte ${offset}.`,
+        );
+        await this.advance(bytesRead, 0, this.state.skipping);
+      }
+      return null;
+    }
+
+    const completeText = buff.subarray(0, lastNewline + 1).toString('utf-8');
+    if (this.state.skipping) {
+      // Inside a rejected unit: pass over its lines, up to the one that finishes it
+      const { length: skipLength, open } = findUnitEnd(completeText, this.state.skipping);
+      const skipped = completeText.slice(0, skipLength);
+      await this.advance(Buffer.byteLength(skipped, 'utf-8'), countNewlines(skipped), open);
+      return this.readAppended(fileHandle);
+    }
+
+    // Hold back a trailing begin block or heredoc whose end has not been written yet
+    const unfinished = findUnfinished(completeText);
+    const text = completeText.slice(0, unfinished?.index ?? completeText.length);
+    if (!text) {
+      if (bytesRead < MAX_READ_BYTES) {
+        return null;
+      }
+      // The unit starts at the offset and fills the whole read: no later read could hold its end
+      const line = this.state.lines + 1;
+      const command = completeText.slice(0, completeText.indexOf('\n'));
+      console.log(
+        `Journal: skipped the block or heredoc at line ${line}, longer than ${MAX_READ_BYTES} bytes.`,
+      );
+      await this.advance(lastNewline + 1, countNewlines(completeText), unfinished.open);
+      return { rejected: { line, command } };
+    }
+
+    return {
+      text,
+      byteLength: Buffer.byteLength(text, 'utf-8'),
+      firstLine: this.state.lines + 1,
+      lineCount: countNewlines(text),
+    };
+  }
+
+  /**
+   * Mark bytes as consumed and persist the new offset.
+   *
+   * @param {number} byteLength - Number of bytes consumed by the last read
+   * @param {number} [lineCount] - Number of lines in those bytes
+   * @param {Object | null} [skipping] - What is still open of a rejected unit after those bytes
+   */
+  async advance(byteLength, lineCount = 0, skipping = null) {
+    await this._save({
+      offset: this.state.offset + byteLength,
+      ino: this.state.ino,
+      lines: this.state.lines + lineCount,
+      skipping,
+    });
+  }
+
+  async _save(state) {
+    this.state = state;
+    // Write-then-rename: a crash mid-write never leaves a half-written state file behind
+    const tempFile = `${this.stateFile}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }));
+    await fs.rename(tempFile, this.stateFile);
+  }
+}
+
+function countNewlines(text) {
+  return text.split('\n').length - 1;
+}
+
+/**
+ * Count the newlines in the first `end` bytes of a file, one reused chunk at a time.
+ */
+async function countLines(fileHandle, end) {
+  const chunk = Buffer.alloc(64 * 1024);
+  let count = 0;
+  let position = 0;
+  while (position < end) {
+    const length = Math.min(chunk.length, end - position);
+    const { bytesRead } = await fileHandle.read(chunk, 0, length, position);
+    if (bytesRead === 0) {
+      break;
+    }
+    const bytes = chunk.subarray(0, bytesRead);
+    for (let i = bytes.indexOf(NEWLINE); i !== -1; i = bytes.indexOf(NEWLINE, i + 1)) {
+      count++;
+    }
+    position += bytesRead;
+  }
+  return count;
+}
+
+export { CommandJournal };
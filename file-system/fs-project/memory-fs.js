@@ -0,0 +1,885 @@
+/**
+ * Memory File System: a file system adapter (see fs-adapter.js) that keeps everything in memory
+ *
+ * Testing a command against the real disk means temp directories, cleanup, and results that
+ * depend on the machine (timestamps, inode numbers, directory order). Some failures are hard to
+ * arrange there at all: filling a disk to see what `add to the file` does on ENOSPC is not
+ * something a test should do. MemoryFs starts empty, behaves the same everywhere, and fails on
+ * demand:
+ *
+ *   const memoryFs = new MemoryFs({ capacity: 64 * 1024 });
+ *   await memoryFs.mkdir('/data/reports', { recursive: true });
+ *   memoryFs.simulateError('EACCES', { path: '/data/reports' });     // everything below it
+ *   memoryFs.simulateError('ENOSPC', { op: 'writeFile', times: 1 }); // the next writeFile only
+ *
+ *   const watcher = new CommandFileWatcher({ fs: memoryFs, root: '/data', ... });
+ *
+ * The tree: a directory node holds a Map from name to node, a file node one Buffer, a symbolic
+ * link node its target. Paths are POSIX and absolute ('/' is the root); relative paths resolve
+ * against '/'. Like on a disk, an open FileHandle keeps its node: renaming or deleting the path
+ * does not affect it.
+ *
+ * Simulated errors: before every operation (fs methods and FileHandle methods alike), the rules
+ * given to simulateError() are checked in order. The first one whose `op` (method name) and
+ * `path` (the path itself or anything below it) match throws an error with that code, and
+ * nothing is changed. `times` limits how often a rule fires.
+ *
+ * Capacity: the content of all files together may not exceed `capacity` bytes. A write that
+ * would need more fails with ENOSPC and writes nothing (a real disk may write part of it).
+ *
+ * watch() reports a change of a path to the watchers of that path and of its directory, like
+ * fs.watch, from the moment the iteration starts.
+ *
+ * Not modelled: permission bits are stored and reported but never enforced (simulate EACCES
+ * instead), owners, hard links, and more than one device (rename never fails with EXDEV).
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - Inodes, directories, file flags
+ * - [Buffers](../../buffers/) - File content is one Buffer per file
+ * - [EventEmitter](../../emitters/) - watch() is an async iterator over emitted events
+ */
+
+import { EventEmitter, on } from 'node:events';
+import { constants } from 'node:fs';
+import { posix } from 'node:path';
+
+const { basename, dirname, isAbsolute, join, relative, resolve } = posix;
+
+// Type bits of stats.mode, the same values a disk reports
+const TYPE_BITS = {
+  file: constants.S_IFREG,
+  directory: constants.S_IFDIR,
+  symlink: constants.S_IFLNK,
+};
+// New files and directories get mode & ~UMASK, like a process with the usual umask 022
+const UMASK = 0o022;
+// More links than this while resolving one path is a loop (the Linux limit)
+const MAX_SYMLINKS = 40;
+
+// Same wording as the errors of node:fs, so messages read the same with either adapter
+const ERROR_MESSAGES = {
+  EACCES: 'permission denied',
+  EBADF: 'bad file descriptor',
+  EBUSY: 'resource busy or locked',
+  EEXIST: 'file already exists',
+  EINVAL: 'invalid argument',
+  EIO: 'i/o error',
+  EISDIR: 'illegal operation on a directory',
+  ELOOP: 'too many symbolic links encountered',
+  ENOENT: 'no such file or directory',
+  ENOSPC: 'no space left on device',
+  ENOTDIR: 'not a directory',
+  ENOTEMPTY: 'directory not empty',
+  EPERM: 'operation not permitted',
+  EROFS: 'read-only file system',
+};
+
+/**
+ * An Error shaped like the ones node:fs throws: `code`, `syscall` and `path` are set.
+ */
+function fsError(code, syscall, path) {
+  const error = new Error(
+    `${code}: ${ERROR_MESSAGES[code] ?? 'simulated error'}, ${syscall} '${path}'`,
+  );
+  error.code = code;
+  error.syscall = syscall;
+  error.path = path;
+  return error;
+}
+
+class MemoryFs {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity] - Bytes all file contents may use together
+   * @param {() => number} [options.now] - Clock for timestamps, in ms
+   */
+  constructor({ capacity = Infinity, now = Date.now } = {}) {
+    this.capacity = capacity;
+    this.used = 0;
+    this.now = now;
+    this._nextIno = 1;
+    this._nextFd = 3; // 0-2 are stdin, stdout and stderr on a real system
+    this._rules = [];
+    // One event per changed path; every watch() is a listener (see watch())
+    this._changes = new EventEmitter();
+    this._changes.setMaxListeners(0);
+    this.root = this._createNode('directory', 0o755);
+  }
+
+  /**
+   * Make operations fail with `code` until the rule is used up.
+   *
+   * @param {string} code - e.g. 'ENOSPC', 'EACCES', 'EIO'
+   * @param {Object} [rule]
+   * @param {string} [rule.op] - Only this method, e.g. 'open', 'rename', 'write' (any if not given)
+   * @param {string} [rule.path] - Only this path and the paths below it (any if not given)
+   * @param {number} [rule.times] - How many operations fail (every one if not given)
+   */
+  simulateError(code, { op, path, times = Infinity } = {}) {
+    this._rules.push({
+      code,
+      op,
+      path: path === undefined ? undefined : resolve('/', path),
+      times,
+    });
+  }
+
+  /**
+   * Remove every simulateError() rule.
+   */
+  clearErrors() {
+    this._rules = [];
+  }
+
+  // ---------------------------------------------------------------------------------------------
+  // Files
+
+  async open(path, flags = 'r', mode = 0o666) {
+    const absPath = this._begin('open', path);
+    const access = parseFlags(flags, absPath);
+    const found = this._lookup(absPath, 'open');
+    let node = found.node;
+
+    if (node) {
+      if (access.exclusive) {
+        throw fsError('EEXIST', 'open', absPath);
+      }
+      if (node.type === 'directory' && access.write) {
+        throw fsError('EISDIR', 'open', absPath);
+      }
+      if (access.truncate) {
+        this._store(node, Buffer.alloc(0), 'open', absPath);
+      }
+    } else {
+      if (!access.create) {
+        throw fsError('ENOENT', 'open', absPath);
+      }
+      node = this._createNode('file', mode);
+      this._link(found.parent, found.name, node, found.path);
+    }
+    return new MemoryFileHandle(this, node, found.path, access, this._nextFd++);
+  }
+
+  async readFile(path, options) {
+    const absPath = this._begin('readFile', path);
+    const node = this._file(absPath, 'open');
+    return decode(Buffer.from(node.data), options);
+  }
+
+  async writeFile(path, data, options) {
+    const absPath = this._begin('writeFile', path);
+    this._writeFile(absPath, toBuffer(data, options), { append: false, mode: options?.mode });
+  }
+
+  async appendFile(path, data, options) {
+    const absPath = this._begin('appendFile', path);
+    this._writeFile(absPath, toBuffer(data, options), { append: true, mode: options?.mode });
+  }
+
+  async copyFile(source, destination, mode = 0) {
+    const from = this._begin('copyFile', source);
+    const to = this._begin('copyFile', destination);
+    const node = this._file(from, 'copyfile');
+    const target = this._lookup(to, 'copyfile');
+    if (target.node && mode & constants.COPYFILE_EXCL) {
+      throw fsError('EEXIST', 'copyfile', to);
+    }
+    // The copy gets the permission bits of the source, like libuv's copyfile
+    this._writeFile(to, Buffer.from(node.data), { append: false, mode: node.mode & 0o7777 });
+  }
+
+  async truncate(path, length = 0) {
+    const absPath = this._begin('truncate', path);
+    const node = this._file(absPath, 'open');
+    this._store(node, resized(node.data, length), 'truncate', absPath);
+    this._changed('change', absPath);
+  }
+
+  // ---------------------------------------------------------------------------------------------
+  // Directory entries
+
+  async rename(oldPath, newPath) {
+    const from = this._begin('rename', oldPath);
+    const to = this._begin('rename', newPath);
+    const source = this._lookup(from, 'rename', { follow: false });
+    const target = this._lookup(to, 'rename', { follow: false });
+    if (!source.node) {
+      throw fsError('ENOENT', 'rename', from);
+    }
+    if (source.node === target.node) {
+      return;
+    }
+
+    if (source.node.type === 'directory') {
+      if (isSameOrInside(source.path, target.path)) {
+        throw fsError('EINVAL', 'rename', from); // a directory cannot move into itself
+      }
+      if (target.node && target.node.type !== 'directory') {
+        throw fsError('ENOTDIR', 'rename', to);
+      }
+      if (target.node?.entries.size > 0) {
+        throw fsError('ENOTEMPTY', 'rename', to);
+      }
+    } else if (target.node?.type === 'directory') {
+      throw fsError('EISDIR', 'rename', to);
+    }
+
+    if (target.node) {
+      this._release(target.node);
+    }
+    source.parent.entries.delete(source.name);
+    this._touchDirectory(source.parent);
+    source.node.ctimeMs = this.now();
+    this._link(target.parent, target.name, source.node, target.path);
+    this._changed('rename', source.path);
+  }
+
+  async unlink(path) {
+    const absPath = this._begin('unlink', path);
+    const { node, parent, name } = this._lookup(absPath, 'unlink', { follow: false });
+    if (!node) {
+      throw fsError('ENOENT', 'unlink', absPath);
+    }
+    if (node.type === 'directory') {
+      throw fsError('EISDIR', 'unlink', absPath);
+    }
+    this._unlink(parent, name, absPath);
+  }
+
+  async mkdir(path, options) {
+    const absPath = this._begin('mkdir', path);
+    // mkdir(path, mode) is the old form of mkdir(path, { mode })
+    const { recursive = false, mode = 0o777 } =
+      typeof options === 'object' ? options : { mode: options ?? 0o777 };
+    return this._mkdir(absPath, recursive, mode);
+  }
+
+  async rmdir(path) {
+    const absPath = this._begin('rmdir', path);
+    const { node, parent, name } = this._lookup(absPath, 'rmdir', { follow: false });
+    if (!node) {
+      throw fsError('ENOENT', 'rmdir', absPath);
+    }
+    if (node.type !== 'directory') {
+      throw fsError('ENOTDIR', 'rmdir', absPath);
+    }
+    if (!parent) {
+      throw fsError('EBUSY', 'rmdir', absPath);
+    }
+    if (node.entries.size > 0) {
+      throw fsError('ENOTEMPTY', 'rmdir', absPath);
+    }
+    this._unlink(parent, name, absPath);
+  }
+
+  async rm(path, { recursive = false, force = false } = {}) {
+    const absPath = this._begin('rm', path);
+    const { node, parent, name } = this._lookup(absPath, 'rm', { follow: false });
+    if (!node) {
+      if (force) {
+        return;
+      }
+      throw fsError('ENOENT', 'rm', absPath);
+    }
+    if (node.type === 'directory' && !recursive) {
+      // The code node:fs uses for this case (it is not an errno)
+      const error = fsError('EISDIR', 'rm', absPath);
+      error.code = 'ERR_FS_EISDIR';
+      throw error;
+    }
+    if (!parent) {
+      throw fsError('EBUSY', 'rm', absPath);
+    }
+    this._unlink(parent, name, absPath);
+  }
+
+  async readdir(path, { withFileTypes = false } = {}) {
+    const absPath = this._begin('readdir', path);
+    const { node, path: realPath } = this._directory(absPath, 'scandir');
+    const names = [...node.entries.keys()].sort();
+    if (!withFileTypes) {
+      return names;
+    }
+    return names.map((name) => direntOf(name, node.entries.get(name), realPath));
+  }
+
+  /**
+   * Like fs.opendir(): entries come one at a time through read() or for await, and a for await
+   * loop closes the Dir when it ends. The entries are the ones present when opendir() ran.
+   */
+  async opendir(path) {
+    const absPath = this._begin('opendir', path);
+    const { node, path: realPath } = this._directory(absPath, 'opendir');
+    const entries = [...node.entries.keys()]
+      .sort()
+      .map((name) => direntOf(name, node.entries.get(name), realPath));
+    return new MemoryDir(realPath, entries);
+  }
+
+  // ---------------------------------------------------------------------------------------------
+  // Metadata
+
+  async stat(path) {
+    const absPath = this._begin('stat', path);
+    return statsOf(this._existing(absPath, 'stat').node);
+  }
+
+  async lstat(path) {
+    const absPath = this._begin('lstat', path);
+    return statsOf(this._existing(absPath, 'lstat', { follow: false }).node);
+  }
+
+  /**
+   * Only checks that the path exists: permission bits are not enforced (see the module comment).
+   */
+  async access(path) {
+    const absPath = this._begin('access', path);
+    this._existing(absPath, 'access');
+  }
+
+  async chmod(path, mode) {
+    const absPath = this._begin('chmod', path);
+    setMode(this._existing(absPath, 'chmod').node, mode, this.now());
+    this._changed('change', absPath);
+  }
+
+  async utimes(path, atime, mtime) {
+    const absPath = this._begin('utimes', path);
+    setTimes(this._existing(absPath, 'utime').node, atime, mtime, this.now());
+    this._changed('change', absPath);
+  }
+
+  async realpath(path) {
+    const absPath = this._begin('realpath', path);
+    return this._existing(absPath, 'realpath').path;
+  }
+
+  async readlink(path) {
+    const absPath = this._begin('readlink', path);
+    const { node } = this._existing(absPath, 'readlink', { follow: false });
+    if (node.type !== 'symlink') {
+      throw fsError('EINVAL', 'readlink', absPath);
+    }
+    return node.target;
+  }
+
+  /**
+   * Create a symbolic link. Not part of the adapter interface (no command creates links); here
+   * so tests can build trees with links, e.g. one that points out of the sandbox.
+   */
+  async symlink(target, path) {
+    const absPath = this._begin('symlink', path);
+    const found = this._lookup(absPath, 'symlink', { follow: false });
+    if (found.node) {
+      throw fsError('EEXIST', 'symlink', absPath);
+    }
+    const node = this._createNode('symlink', 0o777);
+    node.target = target;
+    this._link(found.parent, found.name, node, found.path);
+  }
+
+  // ---------------------------------------------------------------------------------------------
+  // Changes
+
+  /**
+   * Like fs.watch() from node:fs/promises: { eventType, filename } for every change of the path
+   * (or of an entry in it, for a directory), ending with an AbortError when `signal` aborts.
+   */
+  async *watch(path, { signal } = {}) {
+    const absPath = this._begin('watch', path);
+    const { path: realPath } = this._existing(absPath, 'watch');
+    // on() buffers events that arrive while the loop body runs, so none is lost
+    for await (const [event] of on(this._changes, realPath, { signal })) {
+      yield event;
+    }
+  }
+
+  // ---------------------------------------------------------------------------------------------
+  // Internals
+
+  /**
+   * Resolve the path and apply the first simulateError() rule that matches.
+   */
+  _begin(op, path) {
+    const absPath = resolve('/', String(path));
+    const index = this._rules.findIndex(
+      (rule) =>
+        (rule.op === undefined || rule.op === op) &&
+        (rule.path === undefined || isSameOrInside(rule.path, absPath)),
+    );
+    if (index !== -1) {
+      const rule = this._rules[index];
+      if (--rule.times <= 0) {
+        this._rules.splice(index, 1);
+      }
+      throw fsError(rule.code, op, absPath);
+    }
+    return absPath;
+  }
+
+  /**
+   * Walk the tree to `path`. Symbolic links are followed on the way, and at the end too unless
+   * `follow` is false. The parent directory must exist; the last component may not.
+   *
+   * @returns {{ node: Object | undefined, parent: Object | null, name: string, path: string }}
+   *   `path` is the real path (no symbolic links); parent is null for the root
+   */
+  _lookup(path, syscall, { follow = true } = {}) {
+    let parts = path.split('/').filter(Boolean);
+    let dir = this.root;
+    let dirPath = '/';
+    let links = 0;
+
+    for (let i = 0; i < parts.length; i++) {
+      const name = parts[i];
+      const node = dir.entries.get(name);
+      const last = i === parts.length - 1;
+
+      if (node?.type === 'symlink' && (follow || !last)) {
+        if (++links > MAX_SYMLINKS) {
+          throw fsError('ELOOP', syscall, path);
+        }
+        // Replace the link by its target and start again from the root
+        const target = resolve(dirPath, node.target);
+        parts = [...target.split('/').filter(Boolean), ...parts.slice(i + 1)];
+        dir = this.root;
+        dirPath = '/';
+        i = -1;
+        continue;
+      }
+      if (last) {
+        return { node, parent: dir, name, path: join(dirPath, name) };
+      }
+      if (!node) {
+        throw fsError('ENOENT', syscall, path);
+      }
+      if (node.type !== 'directory') {
+        throw fsError('ENOTDIR', syscall, path);
+      }
+      dir = node;
+      dirPath = join(dirPath, name);
+    }
+    return { node: this.root, parent: null, name: '', path: '/' };
+  }
+
+  _existing(path, syscall, options) {
+    const found = this._lookup(path, syscall, options);
+    if (!found.node) {
+      throw fsError('ENOENT', syscall, path);
+    }
+    return found;
+  }
+
+  _file(path, syscall) {
+    const { node } = this._existing(path, syscall);
+    if (node.type === 'directory') {
+      throw fsError('EISDIR', syscall, path);
+    }
+    return node;
+  }
+
+  _directory(path, syscall) {
+    const found = this._existing(path, syscall);
+    if (found.node.type !== 'directory') {
+      throw fsError('ENOTDIR', syscall, path);
+    }
+    return found;
+  }
+
+  _writeFile(path, bytes, { append, mode = 0o666 }) {
+    const found = this._lookup(path, 'open');
+    if (found.node?.type === 'directory') {
+      throw fsError('EISDIR', 'open', path);
+    }
+    const node = found.node ?? this._createNode('file', mode);
+    this._store(node, append ? Buffer.concat([node.data, bytes]) : bytes, 'write', path);
+    if (found.node) {
+      this._changed('change', found.path);
+    } else {
+      this._link(found.parent, found.name, node, found.path);
+    }
+  }
+
+  /**
+   * Replace the content of a file node, within the capacity.
+   */
+  _store(node, data, syscall, path) {
+    const growth = data.length - node.data.length;
+    if (growth > 0 && this.used + growth > this.capacity) {
+      throw fsError('ENOSPC', syscall, path);
+    }
+    this.used += growth;
+    node.data = data;
+    node.mtimeMs = node.ctimeMs = this.now();
+  }
+
+  _mkdir(path, recursive, mode) {
+    let found;
+    try {
+      found = this._lookup(path, 'mkdir');
+    } catch (error) {
+      if (!recursive || error.code !== 'ENOENT') {
+        throw error;
+      }
+      // The parent is missing: create it (and its missing parents) first
+      const first = this._mkdir(dirname(path), true, mode);
+      this._mkdir(path, false, mode);
+      return first;
+    }
+    if (found.node) {
+      if (recursive && found.node.type === 'directory') {
+        return undefined;
+      }
+      throw fsError('EEXIST', 'mkdir', path);
+    }
+    this._link(found.parent, found.name, this._createNode('directory', mode), found.path);
+    // Like fs.mkdir: the first directory created (recursive), undefined otherwise
+    return recursive ? found.path : undefined;
+  }
+
+  _createNode(type, mode) {
+    const now = this.now();
+    const node = {
+      type,
+      ino: this._nextIno++,
+      mode: TYPE_BITS[type] | (mode & ~UMASK & 0o7777),
+      atimeMs: now,
+      mtimeMs: now,
+      ctimeMs: now,
+      birthtimeMs: now,
+    };
+    if (type === 'file') {
+      node.data = Buffer.alloc(0);
+    } else if (type === 'directory') {
+      node.entries = new Map();
+    }
+    return node;
+  }
+
+  _link(parent, name, node, path) {
+    parent.entries.set(name, node);
+    this._touchDirectory(parent);
+    this._changed('rename', path);
+  }
+
+  _unlink(parent, name, path) {
+    this._release(parent.entries.get(name));
+    parent.entries.delete(name);
+    this._touchDirectory(parent);
+    this._changed('rename', path);
+  }
+
+  /**
+   * Give the bytes of a node (and everything below it) back to the capacity. An open handle
+   * could still write to it; like a deleted file on disk, that stops counting when it is gone.
+   */
+  _release(node) {
+    if (node.type === 'file') {
+      this.used -= node.data.length;
+      node.data = Buffer.alloc(0);
+    } else if (node.type === 'directory') {
+      for (const child of node.entries.values()) {
+        this._release(child);
+      }
+    }
+  }
+
+  _touchDirectory(dir) {
+    dir.mtimeMs = dir.ctimeMs = this.now();
+  }
+
+  /**
+   * Tell the watchers of the path and of its directory (see watch()).
+   */
+  _changed(eventType, path) {
+    const event = { eventType, filename: basename(path) };
+    this._changes.emit(path, event);
+    if (path !== '/') {
+      this._changes.emit(dirname(path), event);
+    }
+  }
+}
+
+/**
+ * What open() resolves to: the FileHandle methods the project uses. Reads and writes without a
+ * position use (and move) the handle's own position, like a file descriptor.
+ */
+class MemoryFileHandle {
+  constructor(memoryFs, node, path, access, fd) {
+    this._fs = memoryFs;
+    this._node = node;
+    this._path = path;
+    this._access = access;
+    this._position = 0;
+    this._closed = false;
+    this.fd = fd;
+  }
+
+  /**
+   * read(buffer, offset, length, position), or read({ buffer, offset, length, position }).
+   */
+  async read(buffer, offset, length, position) {
+    this._begin('read');
+    if (!Buffer.isBuffer(buffer) && !(buffer instanceof Uint8Array)) {
+      ({ buffer = Buffer.alloc(16384), offset, length, position } = buffer ?? {});
+    }
+    offset ??= 0;
+    length ??= buffer.length - offset;
+    if (!this._access.read) {
+      throw fsError('EBADF', 'read', this._path);
+    }
+    if (this._node.type === 'directory') {
+      throw fsError('EISDIR', 'read', this._path);
+    }
+
+    const start = position ?? this._position;
+    const data = this._node.data;
+    const bytesRead = start < data.length ? data.copy(buffer, offset, start, start + length) : 0;
+    if (position === null || position === undefined) {
+      this._position += bytesRead;
+    }
+    return { bytesRead, buffer };
+  }
+
+  /**
+   * write(buffer, offset, length, position), or write(string, position, encoding).
+   */
+  async write(data, ...rest) {
+    this._begin('write');
+    let bytes;
+    let position;
+    if (typeof data === 'string') {
+      [position] = rest;
+      bytes = Buffer.from(data, rest[1] ?? 'utf8');
+    } else {
+      const [offset = 0, length = data.length - offset] = rest;
+      position = rest[2];
+      bytes = Buffer.from(data.buffer, data.byteOffset + offset, length);
+    }
+    const bytesWritten = this._writeAt(bytes, position);
+    return { bytesWritten, buffer: data };
+  }
+
+  /**
+   * Writes from the handle's position (the start, for a file that was just opened).
+   */
+  async writeFile(data, options) {
+    this._begin('writeFile');
+    this._writeAt(toBuffer(data, options), null);
+  }
+
+  async readFile(options) {
+    this._begin('readFile');
+    if (!this._access.read) {
+      throw fsError('EBADF', 'read', this._path);
+    }
+    const data = this._node.data.subarray(this._position);
+    this._position += data.length;
+    return decode(Buffer.from(data), options);
+  }
+
+  async stat() {
+    this._begin('stat');
+    return statsOf(this._node);
+  }
+
+  async chmod(mode) {
+    this._begin('chmod');
+    setMode(this._node, mode, this._fs.now());
+  }
+
+  async utimes(atime, mtime) {
+    this._begin('utimes');
+    setTimes(this._node, atime, mtime, this._fs.now());
+  }
+
+  async truncate(length = 0) {
+    this._begin('truncate');
+    this._fs._store(this._node, resized(this._node.data, length), 'ftruncate', this._path);
+  }
+
+  // Memory is as durable as it gets here: sync only has to honor simulated errors (e.g. EIO)
+  async sync() {
+    this._begin('sync');
+  }
+
+  async datasync() {
+    this._begin('datasync');
+  }
+
+  async close() {
+    this._begin('close');
+    this._closed = true;
+  }
+
+  _begin(op) {
+    if (this._closed) {
+      throw fsError('EBADF', op, this._path);
+    }
+    this._fs._begin(op, this._path);
+  }
+
+  _writeAt(bytes, position) {
+    if (!this._access.write) {
+      throw fsError('EBADF', 'write', this._path);
+    }
+    const data = this._node.data;
+    // 'a' flags: every write goes to the end, whatever the position says
+    const start = this._access.append ? data.length : (position ?? this._position);
+    const end = start + bytes.length;
+    const next = Buffer.alloc(Math.max(data.length, end));
+    data.copy(next);
+    bytes.copy(next, start);
+    this._fs._store(this._node, next, 'write', this._path);
+    if (position === null || position === undefined) {
+      this._position = end;
+    }
+    this._fs._changed('change', this._path);
+    return bytes.length;
+  }
+}
+
+/**
+ * What opendir() resolves to: read() one entry at a time (null at the end), or for await.
+ */
+class MemoryDir {
+  constructor(path, entries) {
+    this.path = path;
+    this._entries = entries;
+    this._closed = false;
+  }
+
+  async read() {
+    if (this._closed) {
+      throw fsError('EBADF', 'read', this.path);
+    }
+    return this._entries.shift() ?? null;
+  }
+
+  async close() {
+    this._closed = true;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    try {
+      let entry;
+      while ((entry = await this.read()) !== null) {
+        yield entry;
+      }
+    } finally {
+      await this.close();
+    }
+  }
+}
+
+/**
+ * open() flags → what the handle may do: 'r', 'r+', 'w', 'wx', 'w+', 'a', 'ax', 'a+', ...
+ */
+function parseFlags(flags, path) {
+  if (typeof flags !== 'string' || !/^[rwa]x?\+?$|^[rwa]\+x$/.test(flags)) {
+    throw fsError('EINVAL', 'open', path);
+  }
+  const mode = flags[0];
+  const plus = flags.includes('+');
+  return {
+    read: mode === 'r' || plus,
+    write: mode !== 'r' || plus,
+    create: mode !== 'r',
+    truncate: mode === 'w',
+    append: mode === 'a',
+    exclusive: flags.includes('x'),
+  };
+}
+
+function statsOf(node) {
+  // A directory reports one block, a symbolic link the length of its target
+  let size = 4096;
+  if (node.type === 'file') {
+    size = node.data.length;
+  } else if (node.type === 'symlink') {
+    size = node.target.length;
+  }
+  return {
+    dev: 1,
+    ino: node.ino,
+    mode: node.mode,
+    nlink: node.type === 'directory' ? 2 : 1,
+    uid: 0,
+    gid: 0,
+    size,
+    blksize: 4096,
+    blocks: Math.ceil(size / 512),
+    atimeMs: node.atimeMs,
+    mtimeMs: node.mtimeMs,
+    ctimeMs: node.ctimeMs,
+    birthtimeMs: node.birthtimeMs,
+    atime: new Date(node.atimeMs),
+    mtime: new Date(node.mtimeMs),
+    ctime: new Date(node.ctimeMs),
+    birthtime: new Date(node.birthtimeMs),
+    ...typeChecks(node.type),
+  };
+}
+
+function direntOf(name, node, parentPath) {
+  return { name, parentPath, path: parentPath, ...typeChecks(node.type) };
+}
+
+// The type methods of fs.Stats and fs.Dirent
+function typeChecks(type) {
+  return {
+    isFile: () => type === 'file',
+    isDirectory: () => type === 'directory',
+    isSymbolicLink: () => type === 'symlink',
+    isFIFO: () => false,
+    isSocket: () => false,
+    isBlockDevice: () => false,
+    isCharacterDevice: () => false,
+  };
+}
+
+function setMode(node, mode, now) {
+  // chmod() accepts an octal string ('755') as well as a number
+  const bits = typeof mode === 'string' ? parseInt(mode, 8) : mode;
+  node.mode = (node.mode & constants.S_IFMT) | (bits & 0o7777);
+  node.ctimeMs = now;
+}
+
+function setTimes(node, atime, mtime, now) {
+  node.atimeMs = toMs(atime);
+  node.mtimeMs = toMs(mtime);
+  node.ctimeMs = now;
+}
+
+// utimes() takes Dates, or numbers in seconds (not milliseconds)
+function toMs(time) {
+  return time instanceof Date ? time.getTime() : Number(time) * 1000;
+}
+
+function resized(data, length) {
+  const next = Buffer.alloc(length);
+  data.copy(next, 0, 0, Math.min(length, data.length));
+  return next;
+}
+
+// writeFile(path, data, 'utf-8' | { encoding }) → Buffer
+function toBuffer(data, options) {
+  if (typeof data === 'string') {
+    const encoding = typeof options === 'string' ? options : options?.encoding;
+    return Buffer.from(data, encoding ?? 'utf8');
+  }
+  return Buffer.from(data);
+}
+
+// readFile(path, 'utf-8' | { encoding }) → string; without an encoding → the Buffer
+function decode(buffer, options) {
+  const encoding = typeof options === 'string' ? options : options?.encoding;
+  return encoding ? buffer.toString(encoding) : buffer;
+}
+
+function isSameOrInside(dir, path) {
+  const rel = relative(dir, path);
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+export { MemoryFs };
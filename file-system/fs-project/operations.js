@@ -0,0 +1,274 @@
+/**
+ * Shared Operations: outcome helpers, cross-device move and undo steps
+ *
+ * The command handlers live in plugins/ (see registry.js). Each handler performs one file
+ * operation, logs a human-readable message, and returns an outcome object so callers
+ * (transactions, history) can react to the result:
+ *
+ *   { status: 'ok', undo: [...steps] }     - the operation succeeded
+ *   { status: 'error', code: 'ENOENT' }    - the operation failed (nothing was changed)
+ *
+ * `undo` is plain data (JSON-serializable) describing how to reverse the operation.
+ * revert() knows how to apply those steps. Keeping undo information as data rather than
+ * closures means it can later be written to disk and replayed.
+ *
+ * Replayed possibly much later, after other programs changed the same files. So a step that would
+ * throw data away (unlink, write, truncate) or put a file somewhere (rename, move) carries
+ * `expect`: the size and modification time the command left the file with. When the file no
+ * longer matches, or the place it goes back to is taken, revert() stops with ECONFLICT instead of
+ * overwriting what the other program did:
+ *
+ *   add to the file ./log.txt ...  → { op: 'truncate', length: 120, expect: { size: 180, ... } }
+ *   another program appends        → size 250: undo fails with ECONFLICT, the file is left alone
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - File flags, descriptors, I/O operations
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - async/await, try/catch
+ * - [Buffers](../../buffers/) - Deleted content is kept as base64 so binary files survive the round trip
+ */
+
+import { constants } from 'node:fs';
+import { writeFileAtomic } from './atomic-write.js';
+import { diskFs } from './fs-adapter.js';
+
+/**
+ * Thrown by revert() when a file is not the way the command left it any more.
+ */
+class ConflictError extends Error {
+  constructor(path, change) {
+    super(`${path} ${change} since the command ran; it was left as it is`);
+    this.name = 'ConflictError';
+    this.code = 'ECONFLICT';
+    this.path = path;
+  }
+}
+
+/**
+ * @param {Array<Object> | null} undo - Steps that reverse the operation; [] when nothing changed,
+ *   null when it cannot be reverted
+ */
+function ok(undo) {
+  return { status: 'ok', undo };
+}
+
+function failed(code) {
+  return { status: 'error', code };
+}
+
+/**
+ * Outcome of a read-only command whose output goes to the result log (see results.js).
+ *
+ * @param {string} output - What was read (or its formatted form, e.g. a hex dump)
+ * @param {boolean} truncated - The output stopped at the read limit
+ */
+function readOutcome(output, truncated) {
+  return { status: 'ok', undo: [], output, truncated };
+}
+
+/**
+ * fs.rename() with a fallback for different devices.
+ *
+ * rename() only updates directory entries, so it cannot cross file systems (another disk, a
+ * tmpfs, a Docker volume): it fails with EXDEV. In that case the bytes really have to be
+ * copied, and the source removed afterwards.
+ *
+ * Like every helper here, it works on the file system adapter it is given (see fs-adapter.js).
+ */
+async function move(from, to, fs = diskFs) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.copyFile(from, to, constants.COPYFILE_EXCL);
+    try {
+      await fs.unlink(from);
+    } catch (unlinkError) {
+      // Could not remove the source: remove the copy so the file is not left in two places
+      await fs.unlink(to);
+      throw unlinkError;
+    }
+  }
+}
+
+async function readIfExists(path, fs = diskFs) {
+  try {
+    return await fs.readFile(path);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * fs.lstat(), or null when nothing exists at the path.
+ */
+async function statIfExists(path, fs = diskFs) {
+  try {
+    return await fs.lstat(path);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * The `expect` of an undo step: call it right after the command changed the file.
+ *
+ * @returns {Promise<{ size: number, mtimeMs: number }>}
+ */
+async function fileState(path, fs = diskFs) {
+  const { size, mtimeMs } = await fs.lstat(path);
+  return { size, mtimeMs };
+}
+
+/**
+ * The `times` of a write or truncate step: the timestamps before the command, set again after
+ * the content was reverted. Without them, undoing two appends to the same file would fail: the
+ * first revert gives the file a new mtime, which the older step does not expect.
+ *
+ * @param {import('node:fs').Stats} stats - The file before the command
+ */
+function timesOf(stats) {
+  return { atime: stats.atimeMs, mtime: stats.mtimeMs };
+}
+
+/**
+ * Split text into lines that keep their line ending ('\n' or '\r\n'), so joining them gives the
+ * original text back byte for byte. A last line without a line ending is kept as it is.
+ *
+ * @param {string} text
+ * @returns {string[]} e.g. 'a\r\nb' → ['a\r\n', 'b']
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+}
+
+async function checkUnchanged(path, expect, fs) {
+  if (!expect) {
+    // Recorded by an older version, without the state to compare against
+    return;
+  }
+  const stats = await statIfExists(path, fs);
+  if (!stats) {
+    throw new ConflictError(path, 'was removed');
+  }
+  // Within 1 ms: times set back by utimes() (in seconds, a double) lose their last nanoseconds
+  if (stats.size !== expect.size || Math.abs(stats.mtimeMs - expect.mtimeMs) >= 1) {
+    throw new ConflictError(path, 'was changed');
+  }
+}
+
+async function checkFree(path, fs) {
+  if (await statIfExists(path, fs)) {
+    throw new ConflictError(path, 'was created again');
+  }
+}
+
+async function restoreTimes(path, times, fs) {
+  if (times) {
+    // Seconds rather than Dates: a Date would cut the time to whole milliseconds
+    await fs.utimes(path, times.atime / 1000, times.mtime / 1000);
+  }
+}
+
+/**
+ * Every path an undo step acts on. Steps loaded from the history file are data from disk: their
+ * paths are checked again before they are replayed (see history.js).
+ *
+ * @param {Array<Object>} steps
+ * @returns {unknown[]} Whatever the steps hold as path, from and to (strings, unless edited)
+ */
+function stepPaths(steps) {
+  return steps
+    .flatMap((step) => [step.path, step.from, step.to])
+    .filter((path) => path !== undefined);
+}
+
+/**
+ * Apply undo steps produced by the command handlers, in order.
+ *
+ * @param {Array<Object> | null} steps - e.g. [{ op: 'rename', from: 'b.txt', to: 'a.txt' }];
+ *   null means the operation cannot be reverted (recursive directory removal)
+ * @param {Object} [fs] - File system adapter the operation ran on
+ * @throws {ConflictError} When a file was changed, removed or recreated since (code ECONFLICT);
+ *   the steps before it were applied, this one and the rest were not
+ */
+async function revert(steps, fs = diskFs) {
+  if (steps === null) {
+    throw new Error('This operation cannot be reverted');
+  }
+  for (const step of steps) {
+    switch (step.op) {
+      case 'unlink':
+        await checkUnchanged(step.path, step.expect, fs);
+        await fs.unlink(step.path);
+        break;
+      case 'write':
+        await checkUnchanged(step.path, step.expect, fs);
+        await writeFileAtomic(step.path, Buffer.from(step.content, 'base64'), { fs });
+        await restoreTimes(step.path, step.times, fs);
+        break;
+      case 'rename':
+        await checkUnchanged(step.from, step.expect, fs);
+        // fs.rename() would silently replace whatever is there now
+        await checkFree(step.to, fs);
+        await fs.rename(step.from, step.to);
+        break;
+      case 'truncate':
+        await checkUnchanged(step.path, step.expect, fs);
+        await fs.truncate(step.path, step.length);
+        await restoreTimes(step.path, step.times, fs);
+        break;
+      case 'move':
+        await checkUnchanged(step.from, step.expect, fs);
+        await checkFree(step.to, fs);
+        await move(step.from, step.to, fs);
+        break;
+      case 'mkdir':
+        await fs.mkdir(step.path);
+        break;
+      case 'rmdir':
+        await fs.rmdir(step.path);
+        break;
+      case 'utimes':
+        // Stored as milliseconds (JSON has no Date); utimes() takes Dates or seconds
+        await fs.utimes(step.path, new Date(step.atime), new Date(step.mtime));
+        break;
+      case 'chmod':
+        await fs.chmod(step.path, step.mode);
+        break;
+      default:
+        throw new Error(`Unknown undo operation: ${step.op}`);
+    }
+  }
+}
+
+export {
+  ConflictError,
+  failed,
+  fileState,
+  move,
+  ok,
+  readIfExists,
+  readOutcome,
+  revert,
+  splitLines,
+  statIfExists,
+  stepPaths,
+  timesOf,
+};
+
+// File System Flags:
+// r: read, fail if file does not exist
+// w: write, create if file does not exist, truncate if file exists
+// a: append, create if file does not exist
+// x: exclusive creation, fail if file exists
+// r+: read and write, fail if file does not exist
+// w+: read and write, create if file does not exist, truncate if file exists
+// a+: read and write, create if file does not exist
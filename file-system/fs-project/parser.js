@@ -0,0 +1,443 @@
+/**
+ * Command Parser: Tokenizer and Grammar for command.txt
+ *
+ * Turns a line such as `rename the file "./my photos/tokyo.txt" to ./tokyo.txt` into a
+ * structured command object: { verb: 'renameFile', args: { oldPath, newPath } }.
+ *
+ * Why a real parser instead of `text.includes('rename the file')` + `split('to')`:
+ * - Substring matching runs the wrong command when one verb phrase appears inside another line
+ * - Splitting on 'to' breaks paths that contain those letters (./photos/tokyo.txt)
+ * - Paths with spaces need quoting, and quoting needs escapes
+ * - A failed parse should say exactly WHERE it failed (column), not silently do nothing
+ *
+ * Token rules:
+ * - Tokens are separated by whitespace
+ * - "double" or 'single' quotes group characters (including spaces) into one token
+ * - Backslash escapes work inside and outside quotes: \" \' \\ \n \t \r and "\ " (escaped space)
+ * - Verb phrases match whole tokens exactly ("create a file" never matches "create a files")
+ * - A text argument written as `<<EOF` is a heredoc: the lines below, up to a line `EOF`
+ *
+ * The verbs themselves are not known here: the grammar comes from the command plugins
+ * (see registry.js). See README.md in this folder for the full command reference.
+ */
+
+/**
+ * Thrown when a command line cannot be parsed.
+ * `column` is 1-based so it can be shown to humans as-is.
+ */
+class CommandParseError extends Error {
+  constructor(message, column) {
+    super(`${message} (column ${column})`);
+    this.name = 'CommandParseError';
+    this.code = 'EPARSE';
+    this.column = column;
+    this.reason = message;
+  }
+}
+
+// Escape sequences understood by the tokenizer (the character after the backslash → resulting character)
+const ESCAPES = {
+  '"': '"',
+  "'": "'",
+  '\\': '\\',
+  ' ': ' ',
+  n: '\n',
+  t: '\t',
+  r: '\r',
+};
+
+// `<<EOF` as the whole text argument, and at the end of a line (after a space)
+const HEREDOC_MARKER = /^<<([A-Za-z_]\w*)\s*$/;
+const HEREDOC_AT_END = /(?:^|\s)<<([A-Za-z_]\w*)\s*$/;
+
+// Argument types a grammar may use (see registry.js for the full syntax of a verb definition)
+const ARGUMENT_TYPES = ['path', 'word', 'integer', 'range', 'text'];
+
+/**
+ * Character-level scanner over a single command line.
+ * Tokens are read on demand (not all up front) so free text such as `it's done`
+ * after "this content:" never has to be valid token syntax.
+ */
+class Scanner {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  atEnd() {
+    this.skipWhitespace();
+    return this.pos >= this.text.length;
+  }
+
+  /**
+   * Read one token starting at the current position.
+   *
+   * @returns {{ value: string, start: number, end: number, quoted: boolean } | null}
+   *   start/end are 0-based string indexes; null when the line is exhausted
+   */
+  readToken() {
+    this.skipWhitespace();
+    if (this.pos >= this.text.length) {
+      return null;
+    }
+
+    const start = this.pos;
+    let value = '';
+    let quoted = false;
+
+    while (this.pos < this.text.length && !/\s/.test(this.text[this.pos])) {
+      const char = this.text[this.pos];
+
+      if (char === '"' || char === "'") {
+        // Quoted segment: runs until the matching quote, whitespace included
+        quoted = true;
+        const quoteStart = this.pos;
+        this.pos++;
+        while (this.pos < this.text.length && this.text[this.pos] !== char) {
+          value += this.text[this.pos] === '\\' ? this._readEscape() : this.text[this.pos++];
+        }
+        if (this.pos >= this.text.length) {
+          throw new CommandParseError(`Unterminated ${char} quote`, quoteStart + 1);
+        }
+        this.pos++; // closing quote
+      } else if (char === '\\') {
+        value += this._readEscape();
+      } else {
+        value += char;
+        this.pos++;
+      }
+    }
+
+    return { value, start, end: this.pos, quoted };
+  }
+
+  /**
+   * Raw remainder of the line (used for free text arguments).
+   */
+  rest() {
+    this.skipWhitespace();
+    const start = this.pos;
+    this.pos = this.text.length;
+    return { value: this.text.slice(start).trim(), start };
+  }
+
+  _readEscape() {
+    const next = this.text[this.pos + 1];
+    if (next === undefined) {
+      throw new CommandParseError('Dangling escape character at end of line', this.pos + 1);
+    }
+    if (!(next in ESCAPES)) {
+      throw new CommandParseError(`Unknown escape sequence "\\${next}"`, this.pos + 1);
+    }
+    this.pos += 2;
+    return ESCAPES[next];
+  }
+}
+
+/**
+ * Try to match the verb phrase at the start of the line.
+ *
+ * @returns {{ matched: number, token: object | null }} how many phrase words matched,
+ *   and the first token that did not match (for error reporting)
+ */
+function matchPhrase(scanner, words) {
+  for (let i = 0; i < words.length; i++) {
+    const token = scanner.readToken();
+    // Quoted tokens are arguments, never verb words
+    if (!token || token.quoted || token.value !== words[i]) {
+      return { matched: i, token };
+    }
+  }
+  return { matched: words.length, token: null };
+}
+
+/**
+ * Parse a single command line.
+ *
+ * A line may start with a command id chosen by the writer: `@job-42 create a file ./a.txt`.
+ * The id is echoed in the result log (see results.js), so the writer can find its own outcome.
+ *
+ * @param {string} text - One command line (without the trailing newline), or a command line
+ *   ending in `<<TAG` followed by its heredoc lines, joined with '\n'
+ * @param {Array<Object>} grammar - Verb definitions: { verb, phrase, syntax } (see registry.js)
+ * @returns {{ id: string | null, verb: string, args: Object<string, string | number | boolean>, pathArgs: string[], readOnlyPathArgs: string[], text: string }}
+ * @throws {CommandParseError} With the 1-based column where parsing failed
+ *   (and `commandId` when the line had a valid id)
+ */
+function parseCommand(text, grammar) {
+  // More than one line: the command is on the first, a heredoc body follows (see readHeredoc)
+  const [line, ...heredocLines] = text.split('\n');
+  const scanner = new Scanner(line);
+  scanner.heredoc = heredocLines.length > 0 ? { lines: heredocLines, used: false } : null;
+
+  if (scanner.atEnd()) {
+    throw new CommandParseError('Empty command', 1);
+  }
+
+  const id = readCommandId(scanner);
+
+  try {
+    return { id, ...parseVerb(scanner, grammar), text };
+  } catch (error) {
+    if (error instanceof CommandParseError && id) {
+      error.commandId = id;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Optional `@id` prefix. Returns null (and leaves the scanner untouched) when there is none.
+ */
+function readCommandId(scanner) {
+  const saved = scanner.pos;
+  const token = scanner.readToken();
+
+  if (!token || token.quoted || !token.value.startsWith('@')) {
+    scanner.pos = saved;
+    return null;
+  }
+  if (!/^@[\w.:-]+$/.test(token.value)) {
+    throw new CommandParseError(
+      'A command id may only contain letters, digits, "_", ".", ":" and "-"',
+      token.start + 1,
+    );
+  }
+  return token.value.slice(1);
+}
+
+function parseVerb(scanner, grammar) {
+  const { text } = scanner;
+  const commandStart = scanner.pos;
+
+  // Longest phrase first, so a short phrase can never shadow a longer one that shares its prefix
+  const candidates = [...grammar].sort(
+    (a, b) => b.phrase.split(' ').length - a.phrase.split(' ').length,
+  );
+
+  let definition = null;
+  let best = { matched: -1, token: null, words: [] };
+
+  for (const candidate of candidates) {
+    scanner.pos = commandStart;
+    const words = candidate.phrase.split(' ');
+    const result = matchPhrase(scanner, words);
+    if (result.matched === words.length) {
+      definition = candidate;
+      break;
+    }
+    if (result.matched > best.matched) {
+      best = { ...result, words };
+    }
+  }
+
+  if (!definition) {
+    const column = best.token ? best.token.start + 1 : text.length + 1;
+    if (best.matched > 0) {
+      const expected = best.words[best.matched];
+      const found = best.token ? `"${best.token.value}"` : 'end of line';
+      throw new CommandParseError(
+        `Unknown command: expected "${expected}" after "${best.words.slice(0, best.matched).join(' ')}" but found ${found}`,
+        column,
+      );
+    }
+    throw new CommandParseError('Unknown command', column);
+  }
+
+  const args = {};
+  let optionalPresent = false;
+
+  for (const element of definition.syntax) {
+    // Optional trailing elements (registry.js checks that only optional ones follow) are all or
+    // nothing: when the line ends before the first one, they are all left out and their args
+    // stay undefined; once the first one is there, the rest are required
+    if (element.optional && !optionalPresent) {
+      if (scanner.atEnd()) {
+        break;
+      }
+      optionalPresent = true;
+    }
+
+    if (element.flag) {
+      // Optional word: present → true, absent → false (the scanner is rewound if absent)
+      const saved = scanner.pos;
+      const token = scanner.readToken();
+      const present = Boolean(token && !token.quoted && token.value === element.keyword);
+      if (!present) {
+        scanner.pos = saved;
+      }
+      args[element.flag] = present;
+      continue;
+    }
+
+    if (element.option) {
+      // Optional keyword with a value: `as base64` → args.encoding = 'base64', absent → undefined
+      const saved = scanner.pos;
+      const token = scanner.readToken();
+      if (!token || token.quoted || token.value !== element.keyword) {
+        scanner.pos = saved;
+        continue;
+      }
+      const value = scanner.readToken();
+      if (!value || value.value === '') {
+        const column = value ? value.start + 1 : text.length + 1;
+        throw new CommandParseError(
+          `Missing <${element.option}> after "${element.keyword}"`,
+          column,
+        );
+      }
+      args[element.option] = value.value;
+      continue;
+    }
+
+    if (element.keyword) {
+      for (const word of element.keyword.split(' ')) {
+        const token = scanner.readToken();
+        if (!token) {
+          throw new CommandParseError(`Expected "${word}" but the line ended`, text.length + 1);
+        }
+        if (token.quoted || token.value !== word) {
+          throw new CommandParseError(
+            `Expected "${word}" but found "${token.value}"`,
+            token.start + 1,
+          );
+        }
+      }
+      continue;
+    }
+
+    if (element.type === 'text') {
+      args[element.arg] = readText(scanner, element.arg);
+      continue;
+    }
+
+    const token = scanner.readToken();
+    if (!token || token.value === '') {
+      const column = token ? token.start + 1 : text.length + 1;
+      throw new CommandParseError(`Missing <${element.arg}>`, column);
+    }
+
+    if (element.type === 'integer') {
+      if (!/^[1-9]\d*$/.test(token.value)) {
+        throw new CommandParseError(
+          `Expected a positive whole number for <${element.arg}> but found "${token.value}"`,
+          token.start + 1,
+        );
+      }
+      args[element.arg] = Number(token.value);
+      continue;
+    }
+
+    if (element.type === 'range') {
+      // "3-7" → { start: 3, end: 7 }; a single number "3" is the range 3-3.
+      // Ranges start at 1 (line numbers) unless the element allows less ({ min: 0 } for bytes)
+      const match = /^(0|[1-9]\d*)(?:-(0|[1-9]\d*))?$/.exec(token.value);
+      const start = match && Number(match[1]);
+      const end = match && Number(match[2] ?? match[1]);
+      if (!match || start < (element.min ?? 1) || end < start) {
+        throw new CommandParseError(
+          `Expected a range such as 3-7 for <${element.arg}> but found "${token.value}"`,
+          token.start + 1,
+        );
+      }
+      args[element.arg] = { start, end };
+      continue;
+    }
+
+    // path and word: the token as-is (paths are resolved later, by the executor)
+    args[element.arg] = token.value;
+  }
+
+  const extra = scanner.readToken();
+  if (extra) {
+    throw new CommandParseError(`Unexpected "${extra.value}" after command`, extra.start + 1);
+  }
+  if (scanner.heredoc && !scanner.heredoc.used) {
+    throw new CommandParseError(
+      'Unexpected heredoc: only a text argument can be given as <<TAG',
+      text.length + 1,
+    );
+  }
+
+  // Which arguments are paths, so callers can resolve them (e.g. against the sandbox root),
+  // and which of those the command only reads
+  const paths = definition.syntax.filter((e) => e.type === 'path');
+  const pathArgs = paths.map((e) => e.arg);
+  const readOnlyPathArgs = paths.filter((e) => e.readOnly).map((e) => e.arg);
+
+  return { verb: definition.verb, args, pathArgs, readOnlyPathArgs, text };
+}
+
+/**
+ * Free text argument: a single quoted token keeps its exact content (leading/trailing spaces,
+ * escapes), a heredoc marker (`<<EOF`) takes the lines below it, anything else is taken verbatim
+ * up to the end of the line and trimmed.
+ */
+function readText(scanner, name) {
+  const start = scanner.pos;
+  scanner.skipWhitespace();
+  const marker = HEREDOC_MARKER.exec(scanner.text.slice(scanner.pos));
+  if (marker) {
+    return readHeredoc(scanner, marker[1]);
+  }
+  const quote = scanner.text[scanner.pos];
+
+  if (quote === '"' || quote === "'") {
+    const token = scanner.readToken();
+    if (scanner.atEnd()) {
+      return token.value;
+    }
+    // Quoted text followed by more words: treat the whole remainder as raw text
+    scanner.pos = start;
+  }
+
+  const { value, start: restStart } = scanner.rest();
+  if (!value) {
+    throw new CommandParseError(`Missing <${name}>`, restStart + 1);
+  }
+  return value;
+}
+
+/**
+ * Heredoc, as in shell scripts: every line up to a line holding only the tag, exactly as written
+ * (no trimming, no escapes, quotes are plain characters). Each line ends with '\n', like
+ * `cat <<EOF` in a shell:
+ *
+ *   add to the file ./notes.txt this content: <<EOF
+ *     indented line
+ *   "quoted" line
+ *   EOF                                    → '  indented line\n"quoted" line\n'
+ *
+ * parseScript() collects the lines (see script.js) and passes them on with the command line.
+ */
+function readHeredoc(scanner, tag) {
+  const column = scanner.pos + 1;
+  scanner.pos = scanner.text.length;
+  const lines = scanner.heredoc?.lines ?? [];
+  if (lines.length === 0 || lines[lines.length - 1].trim() !== tag) {
+    throw new CommandParseError(`Heredoc <<${tag} is not closed by a line "${tag}"`, column);
+  }
+  scanner.heredoc.used = true;
+  return lines
+    .slice(0, -1)
+    .map((line) => `${line}\n`)
+    .join('');
+}
+
+/**
+ * The heredoc tag a command line ends with, or null: `... this content: <<EOF` → 'EOF'.
+ *
+ * @param {string} line - One line of a script
+ * @returns {string | null}
+ */
+function heredocTag(line) {
+  return HEREDOC_AT_END.exec(line)?.[1] ?? null;
+}
+
+export { ARGUMENT_TYPES, CommandParseError, heredocTag, parseCommand };
@@ -0,0 +1,99 @@
+/**
+ * Built-in plugin: add to the file <path> [as <encoding>] this content: <content>
+ *
+ *   add to the file ./test.txt this content: Hello, world!
+ *   add to the file ./image.bin as base64 this content: iVBORw0KGgo=
+ *   add to the file ./notes.txt this content: <<EOF
+ *   several lines, kept exactly
+ *   EOF
+ *
+ * Appends to an existing file only, in place: the file keeps its inode, so `tail -f`, hard links
+ * and symlinks (the file they point to grows) keep working. Appends are not atomic: a crash
+ * halfway can leave part of the new bytes at the end of the file (never a change to the earlier
+ * content). The size before the append is kept for `undo`, which truncates back to it.
+ * The content is decoded into bytes first (utf-8, utf-16le, latin1, base64 or hex, see
+ * content.js); content that does not decode fails with EINVAL and nothing is written.
+ */
+
+import { CONTENT_ENCODINGS, contentEncoding, decodeContent } from '../content.js';
+import { failed, fileState, ok, timesOf } from '../operations.js';
+
+export default {
+  verb: 'addToFile',
+  phrase: 'add to the file',
+  syntax: [
+    { arg: 'path', type: 'path' },
+    { option: 'encoding', keyword: 'as' },
+    { keyword: 'this content:' },
+    { arg: 'content', type: 'text' },
+  ],
+
+  async plan({ path, content, encoding }) {
+    const bytes = decodeContent(content, encoding);
+    if (!bytes) {
+      return { action: `reject content that is not valid ${encoding}`, destructive: false };
+    }
+    return { action: `append ${bytes.length} bytes to ${path}`, destructive: false };
+  },
+
+  async usage({ path, content, encoding }, { fs }) {
+    const bytes = decodeContent(content, encoding)?.length ?? 0;
+    // stat, not lstat: a symlink's own size says nothing about the file that grows
+    const existing = await fs.stat(path);
+    return { bytes, sizeAfter: existing.size + bytes };
+  },
+
+  async handler({ path, content, encoding }, { fs, fsync }) {
+    const bytes = decodeContent(content, encoding);
+    if (!bytes) {
+      if (contentEncoding(encoding)) {
+        console.log(`The content is not valid ${encoding}; nothing was added to ${path}.`);
+      } else {
+        const known = Object.keys(CONTENT_ENCODINGS).join(', ');
+        console.log(`Unknown encoding "${encoding}" (expected one of: ${known}).`);
+      }
+      return failed('EINVAL');
+    }
+
+    try {
+      // realpath fails with ENOENT when the file does not exist: we only add to existing files.
+      // A symlink is resolved (the sandbox checked its target), so undo truncates the same file
+      const target = await fs.realpath(path);
+      const before = await fs.stat(target);
+
+      // Not a temp file and rename (see atomic-write.js): that rewrites the whole file and gives
+      // it a new inode. A crash halfway can leave part of the new bytes; undo still truncates them
+      if (fsync) {
+        const fileHandle = await fs.open(target, 'a');
+        try {
+          await fileHandle.writeFile(bytes);
+          await fileHandle.sync();
+        } finally {
+          await fileHandle.close();
+        }
+      } else {
+        await fs.appendFile(target, bytes);
+      }
+      console.log(`Content was added to the file at path ${path} successfully.`);
+      // The size before appending is all we need to undo an append (truncate back to it)
+      return ok([
+        {
+          op: 'truncate',
+          path: target,
+          length: before.size,
+          expect: await fileState(target, fs),
+          times: timesOf(before),
+        },
+      ]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(
+          `An error occurred while adding content to the file at path ${path}: ${error.message}`,
+        );
+      }
+      return failed(error.code);
+    }
+  },
+};
@@ -0,0 +1,56 @@
+/**
+ * Built-in plugin: change permissions of <path> to <mode>
+ *
+ *   change permissions of ./deploy.sh to 0755
+ *   change permissions of ./secrets.env to 600
+ *
+ * The mode is octal, like `chmod`: three digits for owner, group and others (read 4, write 2,
+ * execute 1), optionally after a leading 0. The setuid, setgid and sticky bits (a leading digit
+ * other than 0) are refused: a setuid file created through a command would run as its owner.
+ *
+ * Only the owner of a file (or root) may change its permissions; anyone else gets EPERM.
+ * On Windows only the write bit has an effect (it sets or clears the read-only attribute).
+ *
+ * Undo restores the previous mode.
+ */
+
+import { failed, ok } from '../operations.js';
+
+export default {
+  verb: 'changePermissions',
+  phrase: 'change permissions of',
+  syntax: [{ arg: 'path', type: 'path' }, { keyword: 'to' }, { arg: 'mode', type: 'word' }],
+
+  async plan({ path, mode }) {
+    return { action: `change the permissions of ${path} to ${mode}`, destructive: false };
+  },
+
+  async handler({ path, mode }, { fs }) {
+    if (!/^0?[0-7]{3}$/.test(mode)) {
+      console.log(
+        `"${mode}" is not an octal mode such as 0644 or 755 (without setuid, setgid or sticky).`,
+      );
+      return failed('EINVAL');
+    }
+
+    try {
+      const before = await fs.stat(path);
+      await fs.chmod(path, parseInt(mode, 8));
+      console.log(
+        `Permissions of ${path} changed from ${(before.mode & 0o7777).toString(8).padStart(4, '0')} to ${mode.padStart(4, '0')}.`,
+      );
+      return ok([{ op: 'chmod', path, mode: before.mode & 0o7777 }]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else if (error.code === 'EPERM') {
+        console.log(`Not allowed to change the permissions of ${path} (only its owner may).`);
+      } else {
+        console.log(
+          `An error occurred while changing the permissions of ${path}: ${error.message}`,
+        );
+      }
+      return failed(error.code);
+    }
+  },
+};
@@ -0,0 +1,47 @@
+/**
+ * Built-in plugin: checksum of the file <path> [sha256|md5|crc32]
+ *
+ *   checksum of the file ./release.tar.gz
+ *   checksum of the file ./release.tar.gz md5
+ *
+ * Streams the file through the hash (see checksum.js), so large files are fine. The digest is
+ * written to the result log as `<algorithm>:<hex>`, which `verify the file` accepts as it is.
+ */
+
+import { HASH_ALGORITHMS, hashFile } from '../checksum.js';
+import { failed, readOutcome } from '../operations.js';
+
+export default {
+  verb: 'checksumFile',
+  phrase: 'checksum of the file',
+  syntax: [
+    { arg: 'path', type: 'path', readOnly: true },
+    { arg: 'algorithm', type: 'word', optional: true },
+  ],
+
+  async plan({ path, algorithm = 'sha256' }) {
+    return { action: `compute the ${algorithm} checksum of ${path}`, destructive: false };
+  },
+
+  async handler({ path, algorithm = 'sha256' }, { fs }) {
+    if (!HASH_ALGORITHMS.includes(algorithm)) {
+      console.log(
+        `Unknown checksum algorithm "${algorithm}" (expected one of: ${HASH_ALGORITHMS.join(', ')}).`,
+      );
+      return failed('EINVAL');
+    }
+
+    try {
+      const output = `${algorithm}:${await hashFile(path, algorithm, fs)}`;
+      console.log(`Checksum of ${path}: ${output}`);
+      return readOutcome(output, false);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(`An error occurred while hashing the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    }
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * Built-in plugin: confirm <id>
+ *
+ *   @cleanup delete a file ./old.log
+ *   confirm cleanup
+ *
+ * Runs a command that was held by the confirmation policy (see confirmations.js). The outcome,
+ * including its undo steps, is the outcome of the held command. The held command writes no audit
+ * entry of its own: the entry of `confirm`, with that same outcome, is the one record of the run.
+ */
+
+import { executeCommand } from '../executor.js';
+import { failed } from '../operations.js';
+import { parseCommand } from '../parser.js';
+
+export default {
+  verb: 'confirm',
+  phrase: 'confirm',
+  syntax: [{ arg: 'id', type: 'word' }],
+
+  async plan({ id }) {
+    return { action: `run the command held with id ${id}`, destructive: false };
+  },
+
+  async handler({ id }, context) {
+    const entry = context.confirmations ? await context.confirmations.take(id) : null;
+    if (!entry) {
+      console.log(`No command with id ${id} is waiting for confirmation.`);
+      return failed('ENOENT');
+    }
+
+    console.log(`Confirmed: running "${entry.command}".`);
+    // Held commands are stored as text; parsing again resolves the paths against today's tree
+    const command = parseCommand(entry.command, context.registry.grammar);
+    return executeCommand(command, context, { confirmed: true, audited: false });
+  },
+};
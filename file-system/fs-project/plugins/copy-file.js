@@ -0,0 +1,75 @@
+/**
+ * Built-in plugin: copy the file <source> to <destination> [verified]
+ *
+ *   copy the file ./a.txt to ./backup/a.txt
+ *   copy the file ./a.txt to ./backup/a.txt verified
+ *
+ * Never overwrites: an existing destination fails with EEXIST.
+ *
+ * `verified` hashes the source before and the copy after copying (sha256, see checksum.js). If
+ * they differ (a failing disk, a flaky network mount, the source changed while it was copied),
+ * the copy is deleted and the command fails with EINTEGRITY.
+ */
+
+import { constants } from 'node:fs';
+import { hashFile } from '../checksum.js';
+import { failed, fileState, ok, statIfExists } from '../operations.js';
+
+export default {
+  verb: 'copyFile',
+  phrase: 'copy the file',
+  syntax: [
+    { arg: 'source', type: 'path', readOnly: true },
+    { keyword: 'to' },
+    { arg: 'destination', type: 'path' },
+    { flag: 'verified', keyword: 'verified' },
+  ],
+
+  async plan({ source, destination, verified }) {
+    const check = verified ? ' and compare their checksums' : '';
+    return { action: `copy ${source} to ${destination}${check}`, destructive: false };
+  },
+
+  async usage({ source }, { fs }) {
+    const size = (await statIfExists(source, fs))?.size ?? 0;
+    return { bytes: size, files: 1, sizeAfter: size };
+  },
+
+  async handler({ source, destination, verified }, { fs }) {
+    let copied = false;
+    try {
+      const expected = verified ? await hashFile(source, 'sha256', fs) : null;
+      // COPYFILE_EXCL: fail with EEXIST instead of silently overwriting the destination
+      await fs.copyFile(source, destination, constants.COPYFILE_EXCL);
+      copied = true;
+
+      if (verified) {
+        const actual = await hashFile(destination, 'sha256', fs);
+        if (actual !== expected) {
+          console.log(
+            `The copy at path ${destination} does not match ${source} (sha256 ${actual}, expected ${expected}); it was removed.`,
+          );
+          await fs.unlink(destination);
+          return failed('EINTEGRITY');
+        }
+      }
+
+      const check = verified ? ' and verified' : '';
+      console.log(`The file at path ${source} was copied to ${destination}${check} successfully.`);
+      return ok([{ op: 'unlink', path: destination, expect: await fileState(destination, fs) }]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${source} does not exist.`);
+      } else if (error.code === 'EEXIST') {
+        console.log(`The file at path ${destination} already exists.`);
+      } else {
+        console.log(`An error occurred while copying the file at path ${source}: ${error.message}`);
+      }
+      // Hashing the copy failed: do not leave a copy behind that was never checked
+      if (copied) {
+        await fs.rm(destination, { force: true });
+      }
+      return failed(error.code);
+    }
+  },
+};
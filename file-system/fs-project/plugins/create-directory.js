@@ -0,0 +1,57 @@
+/**
+ * Built-in plugin: create a directory <path>
+ *
+ *   create a directory ./reports/2024
+ *
+ * Missing parent directories are created too; `undo` removes every level that was created.
+ */
+
+import { dirname } from 'node:path';
+import { failed, ok } from '../operations.js';
+
+export default {
+  verb: 'createDirectory',
+  phrase: 'create a directory',
+  syntax: [{ arg: 'path', type: 'path' }],
+
+  async plan({ path }) {
+    return { action: `create the directory ${path} (and missing parents)`, destructive: false };
+  },
+
+  async handler({ path }, { fs }) {
+    try {
+      // Check if something already exists at the path (fs.stat works for files and directories)
+      await fs.stat(path);
+      console.log(`The directory at path ${path} already exists.`);
+      return failed('EEXIST');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(
+          `An error occurred while creating the directory at path ${path}: ${error.message}`,
+        );
+        return failed(error.code);
+      }
+    }
+
+    try {
+      // recursive: missing parent directories are created too.
+      // It resolves to the FIRST directory it had to create, which tells us what to remove on undo.
+      const firstCreated = await fs.mkdir(path, { recursive: true });
+      console.log(`The directory at path ${path} was created successfully.`);
+      // Undo removes every directory that was created, deepest first (rmdir only removes empty ones)
+      const undo = [];
+      for (let dir = path; dir.startsWith(firstCreated); dir = dirname(dir)) {
+        undo.push({ op: 'rmdir', path: dir });
+        if (dir === firstCreated) {
+          break;
+        }
+      }
+      return ok(undo);
+    } catch (error) {
+      console.log(
+        `An error occurred while creating the directory at path ${path}: ${error.message}`,
+      );
+      return failed(error.code);
+    }
+  },
+};
@@ -0,0 +1,41 @@
+/**
+ * Built-in plugin: create a file <path>
+ *
+ *   create a file ./test.txt
+ *
+ * Fails with EEXIST instead of truncating a file that is already there.
+ */
+
+import { failed, fileState, ok } from '../operations.js';
+
+export default {
+  verb: 'createFile',
+  phrase: 'create a file',
+  syntax: [{ arg: 'path', type: 'path' }],
+
+  async plan({ path }) {
+    return { action: `create the empty file ${path}`, destructive: false };
+  },
+
+  async usage() {
+    return { files: 1 };
+  },
+
+  async handler({ path }, { fs }) {
+    try {
+      // 'wx' creates the file and fails with EEXIST if anything is already there, in one step:
+      // no other process can create it between a check and the open
+      const newFile = await fs.open(path, 'wx');
+      console.log('A new file was created successfully.');
+      await newFile.close();
+      return ok([{ op: 'unlink', path, expect: await fileState(path, fs) }]);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        console.log(`The file at path ${path} already exists.`);
+      } else {
+        console.log(`An error occurred while creating the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    }
+  },
+};
@@ -0,0 +1,55 @@
+/**
+ * Built-in plugin: delete a file <path>
+ *
+ *   delete a file ./test.txt
+ *
+ * The file is moved into the trash (see trash.js) rather than unlinked, so it can be brought back
+ * with `restore the file <path>` or `undo`.
+ */
+
+import { failed, fileState, ok } from '../operations.js';
+
+export default {
+  verb: 'deleteFile',
+  phrase: 'delete a file',
+  syntax: [{ arg: 'path', type: 'path' }],
+
+  async plan({ path }) {
+    return { action: `move the file ${path} to the trash`, destructive: true };
+  },
+
+  async handler({ path }, { fs, trash }) {
+    if (trash.contains(path)) {
+      console.log(`The path ${path} is inside the trash. Use "empty the trash" to remove it.`);
+      return failed('EPERM');
+    }
+
+    try {
+      // Check that the path is a file: directories are removed with "remove the directory"
+      const stats = await fs.lstat(path);
+      if (stats.isDirectory()) {
+        console.log(`The path ${path} is a directory.`);
+        return failed('EISDIR');
+      }
+      // Instead of fs.unlink(path), which removes the directory entry for good
+      const entry = await trash.put(path);
+      console.log(`The file at path ${path} was deleted successfully (moved to the trash).`);
+      // Undo moves it back out; the index entry is skipped once its file is gone (see trash.js)
+      return ok([
+        {
+          op: 'move',
+          from: entry.trashedPath,
+          to: path,
+          expect: await fileState(entry.trashedPath, fs),
+        },
+      ]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(`An error occurred while deleting the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    }
+  },
+};
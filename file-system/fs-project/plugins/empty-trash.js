@@ -0,0 +1,46 @@
+/**
+ * Built-in plugin: empty the trash [older than <days> days]
+ *
+ *   empty the trash
+ *   empty the trash older than 30 days
+ *
+ * Permanently removes trashed files (see trash.js). This cannot be undone.
+ */
+
+import { failed, ok } from '../operations.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function plan({ days }) {
+  const which = days ? `deleted more than ${days} day(s) ago` : 'in the trash';
+  return { action: `permanently remove every file ${which}`, destructive: true };
+}
+
+async function emptyTrash({ days = 0 }, { trash }) {
+  try {
+    const { removed, bytes } = await trash.empty(days * DAY_MS);
+    console.log(`Emptied the trash: ${removed} file(s), ${bytes} bytes removed permanently.`);
+    // ⚠️ The files are gone, there is nothing to restore them from
+    return ok(null);
+  } catch (error) {
+    console.log(`An error occurred while emptying the trash: ${error.message}`);
+    return failed(error.code);
+  }
+}
+
+export default [
+  {
+    verb: 'emptyTrash',
+    phrase: 'empty the trash',
+    syntax: [],
+    plan,
+    handler: emptyTrash,
+  },
+  {
+    verb: 'emptyTrash',
+    phrase: 'empty the trash older than',
+    syntax: [{ arg: 'days', type: 'integer' }, { keyword: 'days' }],
+    plan,
+    handler: emptyTrash,
+  },
+];
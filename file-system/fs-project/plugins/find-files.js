@@ -0,0 +1,91 @@
+/**
+ * Built-in plugin: find files matching <glob> in <dir> [up to depth <n>]
+ *
+ *   find files matching *.log in ./var
+ *   find files matching "src/**\/*.test.js" in . up to depth 5
+ *
+ * A pattern without '/' is matched against file names (like `find -name`); a pattern with '/'
+ * against the path relative to <dir>. See search.js for the glob syntax; a glob that does not
+ * compile (an unclosed '{', a range such as [z-a]) fails with EINVAL. The trash and the files the
+ * watcher protects (see sandbox.js) are never searched.
+ */
+
+import { basename, relative, sep } from 'node:path';
+import { failed, readOutcome } from '../operations.js';
+import { compileGlob, displayPath, GlobError, walk } from '../search.js';
+
+export default {
+  verb: 'findFiles',
+  phrase: 'find files matching',
+  syntax: [
+    { arg: 'pattern', type: 'word' },
+    { keyword: 'in' },
+    { arg: 'dir', type: 'path', readOnly: true },
+    { keyword: 'up to depth', optional: true },
+    { arg: 'depth', type: 'integer', optional: true },
+  ],
+
+  async plan({ pattern, dir, depth }, { searchDepth }) {
+    return {
+      action: `list the files matching ${pattern} in ${dir} (up to depth ${depth ?? searchDepth})`,
+      destructive: false,
+    };
+  },
+
+  async handler({ pattern, dir, depth }, { fs, sandbox, trash, readLimit, searchDepth }) {
+    let matches;
+    try {
+      matches = compileGlob(pattern);
+    } catch (error) {
+      if (!(error instanceof GlobError)) {
+        throw error;
+      }
+      console.log(`Cannot find files matching ${pattern}: ${error.message}`);
+      return failed('EINVAL');
+    }
+    const byName = !pattern.includes('/');
+    const found = [];
+    let size = 0;
+    let truncated = false;
+
+    try {
+      for await (const file of walk(dir, {
+        maxDepth: depth ?? searchDepth,
+        // Neither the trash nor the files the watcher keeps for itself (see sandbox.js)
+        skip: (path) => trash.contains(path) || sandbox.isProtected(path),
+        fs,
+      })) {
+        const candidate = byName ? basename(file) : relative(dir, file).split(sep).join('/');
+        if (!matches(candidate)) {
+          continue;
+        }
+        const shown = displayPath(sandbox.root, file);
+        // Stop at the read limit: the rest of the tree is never walked
+        if (size + shown.length + 1 > readLimit) {
+          truncated = true;
+          break;
+        }
+        found.push(shown);
+        size += shown.length + 1;
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The directory at path ${dir} does not exist.`);
+      } else if (error.code === 'ENOTDIR') {
+        console.log(`The path ${dir} is not a directory.`);
+      } else {
+        console.log(`An error occurred while searching ${dir}: ${error.message}`);
+      }
+      return failed(error.code);
+    }
+
+    const output = found.join('\n');
+    console.log(
+      `${found.length} file(s) matching ${pattern} in ${dir}${truncated ? ' (truncated)' : ''}:`,
+    );
+    if (output) {
+      console.log(output);
+    }
+    return readOutcome(output, truncated);
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * Built-in plugin: head <n> lines of <path>
+ *
+ *   head 10 lines of ./server.log
+ *
+ * Reads forward from the start, chunk by chunk, and stops after the n-th line (see reader.js).
+ */
+
+import { failed, readOutcome } from '../operations.js';
+import { readHeadLines } from '../reader.js';
+
+export default {
+  verb: 'headLines',
+  phrase: 'head',
+  syntax: [
+    { arg: 'count', type: 'integer' },
+    { keyword: 'lines of' },
+    { arg: 'path', type: 'path', readOnly: true },
+  ],
+
+  async plan({ count, path }) {
+    return { action: `show the first ${count} line(s) of ${path}`, destructive: false };
+  },
+
+  async handler({ count, path }, { fs, readLimit }) {
+    let fileHandle;
+    try {
+      fileHandle = await fs.open(path, 'r');
+      const { data, truncated } = await readHeadLines(fileHandle, count, readLimit);
+
+      console.log(`First ${count} line(s) of ${path}${truncated ? ' (truncated)' : ''}:`);
+      console.log(data.toString('utf-8'));
+      return readOutcome(data.toString('utf-8'), truncated);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(`An error occurred while reading the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    } finally {
+      await fileHandle?.close();
+    }
+  },
+};
@@ -0,0 +1,55 @@
+/**
+ * Built-in plugin: hex dump of <path>
+ *
+ *   hex dump of ./image.png
+ *
+ * Shows the start of a file in the `hexdump -C` format (see reader.js). Every 16 input bytes take
+ * a 79-character row, so as many rows as fit in the read limit are dumped.
+ */
+
+import { failed, readOutcome } from '../operations.js';
+import { HEX_DUMP_ROW_LENGTH, hexDump, readBytes } from '../reader.js';
+
+// Bytes whose dump fits in `readLimit` characters (the last row has no line break)
+function dumpLength(readLimit) {
+  return Math.floor((readLimit + 1) / HEX_DUMP_ROW_LENGTH) * 16;
+}
+
+export default {
+  verb: 'hexDump',
+  phrase: 'hex dump of',
+  syntax: [{ arg: 'path', type: 'path', readOnly: true }],
+
+  async plan({ path }, { readLimit }) {
+    return {
+      action: `hex dump up to ${dumpLength(readLimit)} bytes of ${path}`,
+      destructive: false,
+    };
+  },
+
+  async handler({ path }, { fs, readLimit }) {
+    let fileHandle;
+    try {
+      fileHandle = await fs.open(path, 'r');
+      const { size } = await fileHandle.stat();
+      const data = await readBytes(fileHandle, 0, dumpLength(readLimit));
+      const truncated = data.length < size;
+      const dump = hexDump(data);
+
+      console.log(
+        `Hex dump of ${path} (${size} bytes${truncated ? `, first ${data.length} shown` : ''}):`,
+      );
+      console.log(dump);
+      return readOutcome(dump, truncated);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(`An error occurred while reading the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    } finally {
+      await fileHandle?.close();
+    }
+  },
+};
@@ -0,0 +1,95 @@
+/**
+ * Built-in plugin: insert into the file <path> at line <n> this content: <content>
+ *
+ *   insert into the file ./todo.txt at line 1 this content: - call the bank
+ *
+ * The content becomes line <n>; the line that was there moves down. <n> may be one past the last
+ * line to add a line at the end. The new line gets the file's own line ending (\r\n files stay
+ * \r\n). Text files only (UTF-8). Written atomically (see atomic-write.js).
+ */
+
+import { writeFileAtomic } from '../atomic-write.js';
+import { failed, fileState, ok, readIfExists, splitLines, timesOf } from '../operations.js';
+
+/**
+ * Insert `content` as line `line` (1-based), with the line ending the file already uses.
+ *
+ * @param {string[]} lines - Output of splitLines(), changed in place
+ */
+function insertLine(lines, line, content) {
+  const eol = lines[0]?.endsWith('\r\n') ? '\r\n' : '\n';
+  const last = lines.length - 1;
+  if (line === lines.length + 1 && last >= 0 && !lines[last].endsWith('\n')) {
+    // Adding after a last line without a line ending: end that line first
+    lines[last] += eol;
+  }
+  lines.splice(line - 1, 0, content + eol);
+}
+
+export default {
+  verb: 'insertLines',
+  phrase: 'insert into the file',
+  syntax: [
+    { arg: 'path', type: 'path' },
+    { keyword: 'at line' },
+    { arg: 'line', type: 'integer' },
+    { keyword: 'this content:' },
+    { arg: 'content', type: 'text' },
+  ],
+
+  async plan({ path, line, content }) {
+    return {
+      action: `insert ${Buffer.byteLength(content)} bytes as line ${line} of ${path}`,
+      destructive: false,
+    };
+  },
+
+  async usage({ path, line, content }, { fs }) {
+    // Insert the same way the handler does: a \r\n line ending counts two bytes, and ending a
+    // last line that had none counts too
+    const previous = (await readIfExists(path, fs)) ?? Buffer.alloc(0);
+    const lines = splitLines(previous.toString('utf-8'));
+    insertLine(lines, line, content);
+    const sizeAfter = Buffer.byteLength(lines.join(''));
+    return { bytes: sizeAfter - previous.length, sizeAfter };
+  },
+
+  async handler({ path, line, content }, { fs, fsync }) {
+    try {
+      // Resolve a symlink first, so the rename replaces the file it points to, not the link
+      const target = await fs.realpath(path);
+      const before = await fs.lstat(target);
+      const previous = await fs.readFile(target);
+      const lines = splitLines(previous.toString('utf-8'));
+
+      if (line > lines.length + 1) {
+        console.log(
+          `The file at path ${path} has ${lines.length} line(s); cannot insert at line ${line}.`,
+        );
+        return failed('ERANGE');
+      }
+
+      insertLine(lines, line, content);
+      await writeFileAtomic(target, lines.join(''), { fsync, fs });
+      console.log(`Content was inserted at line ${line} of the file at path ${path} successfully.`);
+      return ok([
+        {
+          op: 'write',
+          path: target,
+          content: previous.toString('base64'),
+          expect: await fileState(target, fs),
+          times: timesOf(before),
+        },
+      ]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(
+          `An error occurred while inserting into the file at path ${path}: ${error.message}`,
+        );
+      }
+      return failed(error.code);
+    }
+  },
+};
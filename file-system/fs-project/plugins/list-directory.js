@@ -0,0 +1,41 @@
+/**
+ * Built-in plugin: list the directory <path>
+ *
+ *   list the directory .
+ *
+ * Read-only: the outcome carries an empty undo list, so it never enters the history.
+ */
+
+import { failed, ok } from '../operations.js';
+
+export default {
+  verb: 'listDirectory',
+  phrase: 'list the directory',
+  syntax: [{ arg: 'path', type: 'path', readOnly: true }],
+
+  async plan({ path }) {
+    return { action: `list the directory ${path}`, destructive: false };
+  },
+
+  async handler({ path }, { fs }) {
+    try {
+      // withFileTypes: entries come back as fs.Dirent objects, so no extra stat() per entry
+      const entries = await fs.readdir(path, { withFileTypes: true });
+      console.log(`Contents of ${path} (${entries.length} entries):`);
+      for (const entry of entries) {
+        console.log(`  ${entry.name}${entry.isDirectory() ? '/' : ''}`);
+      }
+      // Reading changes nothing, so there is nothing to undo
+      return ok([]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The directory at path ${path} does not exist.`);
+      } else {
+        console.log(
+          `An error occurred while listing the directory at path ${path}: ${error.message}`,
+        );
+      }
+      return failed(error.code);
+    }
+  },
+};
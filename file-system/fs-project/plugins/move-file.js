@@ -0,0 +1,51 @@
+/**
+ * Built-in plugin: move the file <source> to <destination>
+ *
+ *   move the file ./a.txt to /mnt/usb/a.txt
+ *
+ * Unlike rename it never replaces an existing destination, and it also works across devices
+ * (see move() in operations.js).
+ */
+
+import { failed, fileState, move, ok, statIfExists } from '../operations.js';
+
+export default {
+  verb: 'moveFile',
+  phrase: 'move the file',
+  syntax: [
+    { arg: 'source', type: 'path' },
+    { keyword: 'to' },
+    { arg: 'destination', type: 'path' },
+  ],
+
+  async plan({ source, destination }) {
+    return { action: `move ${source} to ${destination}`, destructive: false };
+  },
+
+  async handler({ source, destination }, { fs }) {
+    try {
+      // Check if the file exists by attempting to open it for reading
+      const existingFileHandle = await fs.open(source, 'r');
+      existingFileHandle.close();
+
+      // Unlike rename, move never replaces an existing destination
+      if (await statIfExists(destination, fs)) {
+        console.log(`The file at path ${destination} already exists.`);
+        return failed('EEXIST');
+      }
+
+      await move(source, destination, fs);
+      console.log(`The file at path ${source} was moved to ${destination} successfully.`);
+      return ok([
+        { op: 'move', from: destination, to: source, expect: await fileState(destination, fs) },
+      ]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${source} does not exist.`);
+      } else {
+        console.log(`An error occurred while moving the file at path ${source}: ${error.message}`);
+      }
+      return failed(error.code);
+    }
+  },
+};
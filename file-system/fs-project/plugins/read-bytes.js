@@ -0,0 +1,58 @@
+/**
+ * Built-in plugin: bytes <x-y> of <path>
+ *
+ *   bytes 0-99 of ./data.csv
+ *
+ * Byte positions start at 0 (like file positions) and the range includes both ends. The bytes
+ * are decoded as UTF-8; use `hex dump of` for binary files.
+ */
+
+import { failed, readOutcome } from '../operations.js';
+import { readBytes } from '../reader.js';
+
+export default {
+  verb: 'readBytes',
+  phrase: 'bytes',
+  syntax: [
+    { arg: 'range', type: 'range', min: 0 },
+    { keyword: 'of' },
+    { arg: 'path', type: 'path', readOnly: true },
+  ],
+
+  async plan({ range, path }) {
+    return { action: `show bytes ${range.start}-${range.end} of ${path}`, destructive: false };
+  },
+
+  async handler({ range, path }, { fs, readLimit }) {
+    let fileHandle;
+    try {
+      fileHandle = await fs.open(path, 'r');
+      const { size } = await fileHandle.stat();
+      if (range.start >= size) {
+        console.log(
+          `The file at path ${path} has ${size} bytes; byte ${range.start} does not exist.`,
+        );
+        return failed('ERANGE');
+      }
+
+      const wanted = range.end - range.start + 1;
+      const data = await readBytes(fileHandle, range.start, Math.min(wanted, readLimit));
+      const truncated = wanted > readLimit && range.start + data.length < size;
+
+      console.log(
+        `Bytes ${range.start}-${range.start + data.length - 1} of ${path}${truncated ? ' (truncated)' : ''}:`,
+      );
+      console.log(data.toString('utf-8'));
+      return readOutcome(data.toString('utf-8'), truncated);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(`An error occurred while reading the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    } finally {
+      await fileHandle?.close();
+    }
+  },
+};
@@ -0,0 +1,69 @@
+/**
+ * Built-in plugin: remove the directory <path> [recursively]
+ *
+ *   remove the directory ./tmp
+ *   remove the directory ./tmp recursively
+ *
+ * Guarded:
+ * - Never the sandbox root itself
+ * - Only directories (a file path fails with ENOTDIR instead of being deleted)
+ * - Non-empty directories need the explicit `recursively` keyword (cannot be reverted)
+ */
+
+import { failed, ok } from '../operations.js';
+
+export default {
+  verb: 'removeDirectory',
+  phrase: 'remove the directory',
+  syntax: [
+    { arg: 'path', type: 'path' },
+    { flag: 'recursive', keyword: 'recursively' },
+  ],
+
+  async plan({ path, recursive }) {
+    if (recursive) {
+      return { action: `remove the directory ${path} and everything in it`, destructive: true };
+    }
+    return { action: `remove the empty directory ${path}`, destructive: false };
+  },
+
+  async handler({ path, recursive }, { fs, sandbox }) {
+    if (path === sandbox.root) {
+      console.log(`Refusing to remove the sandbox root ${sandbox.root}.`);
+      return failed('EPERM');
+    }
+
+    try {
+      const stats = await fs.lstat(path);
+      if (!stats.isDirectory()) {
+        console.log(`The path ${path} is not a directory.`);
+        return failed('ENOTDIR');
+      }
+
+      if (recursive) {
+        // ⚠️ Removes everything below the directory. This cannot be undone.
+        await fs.rm(path, { recursive: true });
+        console.log(`The directory at path ${path} and its contents were removed successfully.`);
+        return ok(null);
+      }
+
+      // fs.rmdir() only removes EMPTY directories, which is exactly the guard we want
+      await fs.rmdir(path);
+      console.log(`The directory at path ${path} was removed successfully.`);
+      return ok([{ op: 'mkdir', path }]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The directory at path ${path} does not exist.`);
+      } else if (error.code === 'ENOTEMPTY') {
+        console.log(
+          `The directory at path ${path} is not empty. Use "remove the directory <path> recursively" to remove it with its contents.`,
+        );
+      } else {
+        console.log(
+          `An error occurred while removing the directory at path ${path}: ${error.message}`,
+        );
+      }
+      return failed(error.code);
+    }
+  },
+};
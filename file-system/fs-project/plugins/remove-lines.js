@@ -0,0 +1,64 @@
+/**
+ * Built-in plugin: remove lines <n-m> from <path>
+ *
+ *   remove lines 3-7 from ./notes.txt
+ *   remove lines 2 from ./notes.txt
+ *
+ * Lines are numbered from 1 and the range includes both ends. Text files only (UTF-8).
+ * Written atomically (see atomic-write.js); the old content is kept for `undo`.
+ */
+
+import { writeFileAtomic } from '../atomic-write.js';
+import { failed, fileState, ok, splitLines, timesOf } from '../operations.js';
+
+export default {
+  verb: 'removeLines',
+  phrase: 'remove lines',
+  syntax: [{ arg: 'range', type: 'range' }, { keyword: 'from' }, { arg: 'path', type: 'path' }],
+
+  async plan({ range, path }) {
+    return { action: `remove lines ${range.start}-${range.end} from ${path}`, destructive: true };
+  },
+
+  async handler({ range, path }, { fs, fsync }) {
+    try {
+      // Resolve a symlink first, so the rename replaces the file it points to, not the link
+      const target = await fs.realpath(path);
+      const before = await fs.lstat(target);
+      const previous = await fs.readFile(target);
+      const lines = splitLines(previous.toString('utf-8'));
+
+      if (range.end > lines.length) {
+        console.log(
+          `The file at path ${path} has ${lines.length} line(s); cannot remove lines ${range.start}-${range.end}.`,
+        );
+        return failed('ERANGE');
+      }
+
+      lines.splice(range.start - 1, range.end - range.start + 1);
+
+      await writeFileAtomic(target, lines.join(''), { fsync, fs });
+      console.log(
+        `Lines ${range.start}-${range.end} were removed from the file at path ${path} successfully.`,
+      );
+      return ok([
+        {
+          op: 'write',
+          path: target,
+          content: previous.toString('base64'),
+          expect: await fileState(target, fs),
+          times: timesOf(before),
+        },
+      ]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(
+          `An error occurred while removing lines from the file at path ${path}: ${error.message}`,
+        );
+      }
+      return failed(error.code);
+    }
+  },
+};
@@ -0,0 +1,60 @@
+/**
+ * Built-in plugin: rename the file <old path> to <new path>
+ *
+ *   rename the file ./test.txt to ./test2.txt
+ *
+ * Like fs.rename() it replaces an existing target; the replaced content is kept for `undo`.
+ */
+
+import { failed, fileState, ok, readIfExists, statIfExists } from '../operations.js';
+
+export default {
+  verb: 'renameFile',
+  phrase: 'rename the file',
+  syntax: [{ arg: 'oldPath', type: 'path' }, { keyword: 'to' }, { arg: 'newPath', type: 'path' }],
+
+  async plan({ oldPath, newPath }, { fs }) {
+    // Only a rename onto an existing file destroys data (the old content of the target)
+    const target = await statIfExists(newPath, fs);
+    if (target) {
+      return {
+        action: `rename ${oldPath} to ${newPath}, replacing the existing ${newPath} (${target.size} bytes)`,
+        destructive: true,
+      };
+    }
+    return { action: `rename ${oldPath} to ${newPath}`, destructive: false };
+  },
+
+  async handler({ oldPath, newPath }, { fs }) {
+    try {
+      // Check if the file exists by attempting to open it for reading
+      const existingFileHandle = await fs.open(oldPath, 'r');
+      existingFileHandle.close();
+
+      // fs.rename() silently replaces an existing target, so remember what it held
+      const overwritten = await readIfExists(newPath, fs);
+
+      // File exists, so we rename it
+      await fs.rename(oldPath, newPath);
+
+      const undo = [
+        { op: 'rename', from: newPath, to: oldPath, expect: await fileState(newPath, fs) },
+      ];
+      if (overwritten) {
+        // Runs once the renamed file is back at oldPath, so nothing is at newPath to compare
+        undo.push({ op: 'write', path: newPath, content: overwritten.toString('base64') });
+      }
+      console.log(`The file at path ${oldPath} was renamed to ${newPath} successfully.`);
+      return ok(undo);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${oldPath} does not exist.`);
+      } else {
+        console.log(
+          `An error occurred while renaming the file at path ${oldPath}: ${error.message}`,
+        );
+      }
+      return failed(error.code);
+    }
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * Built-in plugin: replace the content of <path> with this content: <content>
+ *
+ *   replace the content of ./status.txt with this content: deployed
+ *
+ * Replaces the whole content of an existing file, atomically (see atomic-write.js): readers see
+ * the old content or the new one, never a mix. The old content is kept for `undo`.
+ */
+
+import { writeFileAtomic } from '../atomic-write.js';
+import { failed, fileState, ok, timesOf } from '../operations.js';
+
+export default {
+  verb: 'replaceContent',
+  phrase: 'replace the content of',
+  syntax: [
+    { arg: 'path', type: 'path' },
+    { keyword: 'with this content:' },
+    { arg: 'content', type: 'text' },
+  ],
+
+  async plan({ path, content }) {
+    return {
+      action: `replace the content of ${path} with ${Buffer.byteLength(content)} bytes`,
+      destructive: true,
+    };
+  },
+
+  async usage({ content }) {
+    const bytes = Buffer.byteLength(content);
+    return { bytes, sizeAfter: bytes };
+  },
+
+  async handler({ path, content }, { fs, fsync }) {
+    try {
+      // realpath fails with ENOENT when the file does not exist: use "create a file" first.
+      // A symlink is resolved, so the rename replaces the file it points to, not the link
+      const target = await fs.realpath(path);
+      const before = await fs.lstat(target);
+      const previous = await fs.readFile(target);
+      await writeFileAtomic(target, content, { fsync, fs });
+      console.log(`The content of the file at path ${path} was replaced successfully.`);
+      return ok([
+        {
+          op: 'write',
+          path: target,
+          content: previous.toString('base64'),
+          expect: await fileState(target, fs),
+          times: timesOf(before),
+        },
+      ]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(
+          `An error occurred while replacing the content of the file at path ${path}: ${error.message}`,
+        );
+      }
+      return failed(error.code);
+    }
+  },
+};
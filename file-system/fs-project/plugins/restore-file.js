@@ -0,0 +1,56 @@
+/**
+ * Built-in plugin: restore the file <path>
+ *
+ *   restore the file ./reports/q3.txt
+ *
+ * Moves the most recent deletion of <path> out of the trash (see trash.js). Never overwrites:
+ * if something was created at the path in the meantime, it fails with EEXIST.
+ */
+
+import { failed, fileState, move, ok, statIfExists } from '../operations.js';
+
+export default {
+  verb: 'restoreFile',
+  phrase: 'restore the file',
+  syntax: [{ arg: 'path', type: 'path' }],
+
+  async plan({ path }, { trash }) {
+    const entry = await trash.find(path);
+    if (!entry) {
+      return { action: `fail: no deleted file from ${path} is in the trash`, destructive: false };
+    }
+    return {
+      action: `restore ${path} (deleted at ${entry.deletedAt}) from the trash`,
+      destructive: false,
+    };
+  },
+
+  async handler({ path }, { fs, trash }) {
+    try {
+      const entry = await trash.find(path);
+      if (!entry) {
+        console.log(`No deleted file from ${path} is in the trash.`);
+        return failed('ENOENT');
+      }
+
+      if (await statIfExists(path, fs)) {
+        console.log(`The file at path ${path} already exists; it was not replaced.`);
+        return failed('EEXIST');
+      }
+
+      await move(entry.trashedPath, path, fs);
+      console.log(`The file at path ${path} was restored (deleted at ${entry.deletedAt}).`);
+      return ok([
+        { op: 'move', from: path, to: entry.trashedPath, expect: await fileState(path, fs) },
+      ]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // The file itself is in the trash, so this is the directory it lived in
+        console.log(`The directory of ${path} does not exist any more. Create it, then restore.`);
+      } else {
+        console.log(`An error occurred while restoring the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    }
+  },
+};
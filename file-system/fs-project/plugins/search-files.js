@@ -0,0 +1,170 @@
+/**
+ * Built-in plugin: search for <text|/regex/> in <dir> [up to depth <n>]
+ *
+ *   search for TODO in ./src
+ *   search for "connection refused" in ./logs up to depth 1
+ *   search for "/error \\d+/i" in ./logs
+ *
+ * Like `grep -rn`: every line containing the text (or matching the regular expression) is
+ * reported as `<path>:<line number>: <line>`. Files are read in chunks (see search.js), so a
+ * large log is never loaded whole; binary files, the trash and the files the watcher protects
+ * (see sandbox.js) are skipped.
+ *
+ * A pattern between slashes is a regular expression, optionally followed by the flags i, m, s
+ * or u. It is one token, so quote it when it contains spaces; the command parser treats
+ * backslash as an escape character, so write `\\d` for `\d`.
+ *
+ * The expression runs on the watcher's own thread, so one that backtracks for minutes would stop
+ * every later batch. Patterns longer than 256 characters, backreferences and quantified groups
+ * that contain a quantifier themselves (/(a+)+$/, the classic catastrophic case) are refused with
+ * EINVAL before anything is read.
+ */
+
+import { failed, readOutcome } from '../operations.js';
+import { displayPath, matchLines, walk } from '../search.js';
+
+const MAX_PATTERN_LENGTH = 256;
+
+export default {
+  verb: 'searchFiles',
+  phrase: 'search for',
+  syntax: [
+    { arg: 'pattern', type: 'word' },
+    { keyword: 'in' },
+    { arg: 'dir', type: 'path', readOnly: true },
+    { keyword: 'up to depth', optional: true },
+    { arg: 'depth', type: 'integer', optional: true },
+  ],
+
+  async plan({ pattern, dir, depth }, { searchDepth }) {
+    return {
+      action: `list the lines matching ${pattern} in ${dir} (up to depth ${depth ?? searchDepth})`,
+      destructive: false,
+    };
+  },
+
+  async handler({ pattern, dir, depth }, { fs, sandbox, trash, readLimit, searchDepth }) {
+    let test;
+    try {
+      test = toTest(pattern);
+    } catch (error) {
+      console.log(`Cannot search for ${pattern}: ${error.message}`);
+      return failed('EINVAL');
+    }
+
+    const hits = [];
+    let size = 0;
+    let truncated = false;
+
+    try {
+      search: for await (const file of walk(dir, {
+        maxDepth: depth ?? searchDepth,
+        // Neither the trash nor the files the watcher keeps for itself (see sandbox.js)
+        skip: (path) => trash.contains(path) || sandbox.isProtected(path),
+        fs,
+      })) {
+        let fileHandle;
+        try {
+          fileHandle = await fs.open(file, 'r');
+          for await (const { line, text } of matchLines(fileHandle, test)) {
+            const hit = `${displayPath(sandbox.root, file)}:${line}: ${text}`;
+            // Stop at the read limit: no further file is opened
+            if (size + hit.length + 1 > readLimit) {
+              truncated = true;
+              break search;
+            }
+            hits.push(hit);
+            size += hit.length + 1;
+          }
+        } catch (error) {
+          // A file that vanished or cannot be read does not end the whole search
+          console.log(`Skipped ${file}: ${error.code ?? error.message}`);
+        } finally {
+          await fileHandle?.close();
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The directory at path ${dir} does not exist.`);
+      } else if (error.code === 'ENOTDIR') {
+        console.log(`The path ${dir} is not a directory.`);
+      } else {
+        console.log(`An error occurred while searching ${dir}: ${error.message}`);
+      }
+      return failed(error.code);
+    }
+
+    const output = hits.join('\n');
+    console.log(
+      `${hits.length} match(es) for ${pattern} in ${dir}${truncated ? ' (truncated)' : ''}:`,
+    );
+    if (output) {
+      console.log(output);
+    }
+    return readOutcome(output, truncated);
+  },
+};
+
+/**
+ * '/expr/flags' → a RegExp test; anything else → a plain substring test.
+ *
+ * @throws {Error} For an invalid expression, or one that may backtrack catastrophically
+ */
+function toTest(pattern) {
+  const match = /^\/(.+)\/([imsu]*)$/.exec(pattern);
+  if (!match) {
+    return (line) => line.includes(pattern);
+  }
+  if (match[1].length > MAX_PATTERN_LENGTH) {
+    throw new Error(`a regular expression may have at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  // No 'g' or 'y' flag: those make test() remember its position between calls
+  const regexp = new RegExp(match[1], match[2]);
+  const risk = backtrackingRisk(match[1]);
+  if (risk) {
+    throw new Error(`${risk} can make matching take exponential time`);
+  }
+  return (line) => regexp.test(line);
+}
+
+/**
+ * Look for the constructs that make a backtracking engine take exponential time on one line.
+ * Called after new RegExp() accepted the source, so groups and classes are balanced.
+ *
+ * @param {string} source - Expression between the slashes
+ * @returns {string | null} What was found, or null
+ */
+function backtrackingRisk(source) {
+  // For every open group: whether it contains a repeating quantifier (*, +, {n,} or {n,m})
+  const groups = [false];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(source[i + 1] ?? '')) {
+        return 'a backreference';
+      }
+      i++; // the escaped character is a literal
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const repeatsInside = groups.pop();
+      if (repeatsInside && isRepeating(source, i + 1)) {
+        return 'a repeated group that repeats inside';
+      }
+      groups[groups.length - 1] ||= repeatsInside;
+    } else if (isRepeating(source, i)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+}
+
+function isRepeating(source, index) {
+  return /^(?:[*+]|\{\d+,\d*\})/.test(source.slice(index));
+}
@@ -0,0 +1,46 @@
+/**
+ * Built-in plugin: show the file <path>
+ *
+ *   show the file ./notes.txt
+ *
+ * Writes the content (UTF-8) to the result log, up to the read limit (FS_PROJECT_READ_LIMIT).
+ * Larger files are cut off there and reported as truncated (see reader.js).
+ */
+
+import { failed, readOutcome } from '../operations.js';
+import { readBytes } from '../reader.js';
+
+export default {
+  verb: 'showFile',
+  phrase: 'show the file',
+  syntax: [{ arg: 'path', type: 'path', readOnly: true }],
+
+  async plan({ path }, { readLimit }) {
+    return { action: `show up to ${readLimit} bytes of ${path}`, destructive: false };
+  },
+
+  async handler({ path }, { fs, readLimit }) {
+    let fileHandle;
+    try {
+      fileHandle = await fs.open(path, 'r');
+      const { size } = await fileHandle.stat();
+      const data = await readBytes(fileHandle, 0, readLimit);
+      const truncated = data.length < size;
+
+      console.log(
+        `Content of ${path} (${size} bytes${truncated ? `, first ${data.length} shown` : ''}):`,
+      );
+      console.log(data.toString('utf-8'));
+      return readOutcome(data.toString('utf-8'), truncated);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(`An error occurred while reading the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    } finally {
+      await fileHandle?.close();
+    }
+  },
+};
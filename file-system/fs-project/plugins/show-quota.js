@@ -0,0 +1,42 @@
+/**
+ * Built-in plugin: show quota usage
+ *
+ *   show quota usage
+ *
+ * What the running commands used of the rate limits (see quota.js), and how many commands each
+ * limit rejected since the watcher started. A limit of 0 is off.
+ */
+
+import { failed, readOutcome } from '../operations.js';
+
+export default {
+  verb: 'showQuota',
+  phrase: 'show quota usage',
+  syntax: [],
+
+  async plan() {
+    return { action: 'show the quota counters', destructive: false };
+  },
+
+  async handler(args, { quota }) {
+    if (!quota) {
+      console.log('Quotas are not enabled.');
+      return failed('ENOSYS');
+    }
+
+    const { limits, bytesWritten, filesCreated, rejected } = quota.usage();
+    const output = [
+      `bytes written: ${bytesWritten.used} of ${bytesWritten.limit} in ${bytesWritten.windowMs} ms`,
+      `files created: ${filesCreated.used} of ${filesCreated.limit} in ${filesCreated.windowMs} ms`,
+      `max file size: ${limits.maxFileSize} bytes`,
+      `max command length: ${limits.maxCommandLength} bytes`,
+      `rejected: ${Object.entries(rejected)
+        .map(([limit, count]) => `${limit} ${count}`)
+        .join(', ')}`,
+    ].join('\n');
+
+    console.log('Quota usage:');
+    console.log(output);
+    return readOutcome(output, false);
+  },
+};
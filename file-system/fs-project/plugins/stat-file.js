@@ -0,0 +1,81 @@
+/**
+ * Built-in plugin: stat the file <path>
+ *
+ *   stat the file ./report.txt
+ *
+ * Shows what the file system keeps about a file besides its content (the inode, see
+ * [File Systems](../../../docs/fundamentals/file-systems.md)): type, size, permissions,
+ * timestamps and inode number. Works on directories too. lstat() is used, so a symbolic link
+ * is described itself, with its target, instead of the file it points to.
+ */
+
+import { failed, readOutcome } from '../operations.js';
+
+export default {
+  verb: 'statFile',
+  phrase: 'stat the file',
+  syntax: [{ arg: 'path', type: 'path', readOnly: true }],
+
+  async plan({ path }) {
+    return { action: `show the metadata of ${path}`, destructive: false };
+  },
+
+  async handler({ path }, { fs }) {
+    try {
+      const stats = await fs.lstat(path);
+      const lines = [
+        `type:     ${typeOf(stats)}`,
+        `size:     ${stats.size} bytes`,
+        `mode:     ${formatMode(stats.mode)}`,
+        `modified: ${stats.mtime.toISOString()}`,
+        `accessed: ${stats.atime.toISOString()}`,
+        // ctime is the last METADATA change (chmod, rename, ...), not the creation time
+        `changed:  ${stats.ctime.toISOString()}`,
+        `inode:    ${stats.ino}`,
+      ];
+      if (stats.isSymbolicLink()) {
+        lines.push(`target:   ${await fs.readlink(path)}`);
+      }
+      const output = lines.join('\n');
+
+      console.log(`Metadata of ${path}:`);
+      console.log(output);
+      return readOutcome(output, false);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(`An error occurred while reading the metadata of ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    }
+  },
+};
+
+// Stats method → name shown; exactly one of them is true for any entry
+const TYPES = [
+  ['isFile', 'file'],
+  ['isDirectory', 'directory'],
+  ['isSymbolicLink', 'symbolic link'],
+  ['isFIFO', 'named pipe'],
+  ['isSocket', 'socket'],
+  ['isBlockDevice', 'block device'],
+  ['isCharacterDevice', 'character device'],
+];
+
+function typeOf(stats) {
+  return TYPES.find(([method]) => stats[method]())?.[1] ?? 'unknown';
+}
+
+/**
+ * Permission bits as octal and as `ls -l` shows them: 0o100644 → '0644 (rw-r--r--)'.
+ * The bits above 0o7777 are the file type, which is shown separately.
+ */
+function formatMode(mode) {
+  let symbolic = '';
+  // Owner, group, others: three bits each (read 4, write 2, execute 1), highest first
+  for (let bit = 8; bit >= 0; bit--) {
+    symbolic += mode & (1 << bit) ? 'rwx'[(8 - bit) % 3] : '-';
+  }
+  return `${(mode & 0o7777).toString(8).padStart(4, '0')} (${symbolic})`;
+}
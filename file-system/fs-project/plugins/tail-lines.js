@@ -0,0 +1,46 @@
+/**
+ * Built-in plugin: tail <n> lines of <path>
+ *
+ *   tail 20 lines of ./server.log
+ *
+ * Reads backward from the end, chunk by chunk, so the start of a large file is never read
+ * (see reader.js).
+ */
+
+import { failed, readOutcome } from '../operations.js';
+import { readTailLines } from '../reader.js';
+
+export default {
+  verb: 'tailLines',
+  phrase: 'tail',
+  syntax: [
+    { arg: 'count', type: 'integer' },
+    { keyword: 'lines of' },
+    { arg: 'path', type: 'path', readOnly: true },
+  ],
+
+  async plan({ count, path }) {
+    return { action: `show the last ${count} line(s) of ${path}`, destructive: false };
+  },
+
+  async handler({ count, path }, { fs, readLimit }) {
+    let fileHandle;
+    try {
+      fileHandle = await fs.open(path, 'r');
+      const { data, truncated } = await readTailLines(fileHandle, count, readLimit);
+
+      console.log(`Last ${count} line(s) of ${path}${truncated ? ' (truncated)' : ''}:`);
+      console.log(data.toString('utf-8'));
+      return readOutcome(data.toString('utf-8'), truncated);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(`An error occurred while reading the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    } finally {
+      await fileHandle?.close();
+    }
+  },
+};
@@ -0,0 +1,74 @@
+/**
+ * Built-in plugin: touch the file <path> [at <time>]
+ *
+ *   touch the file ./build.stamp
+ *   touch the file ./report.txt at 2024-05-01T12:00:00Z
+ *
+ * Like the `touch` command: sets the access and modification times of a file to now, or to the
+ * given time (anything `new Date()` understands; ISO 8601 is the safe choice), through
+ * fs.utimes(). A file that does not exist is created empty first.
+ *
+ * Undo restores the previous times, or removes the file if touch created it.
+ */
+
+import { failed, fileState, ok, statIfExists } from '../operations.js';
+
+export default {
+  verb: 'touchFile',
+  phrase: 'touch the file',
+  syntax: [
+    { arg: 'path', type: 'path' },
+    { keyword: 'at', optional: true },
+    { arg: 'time', type: 'text', optional: true },
+  ],
+
+  async plan({ path, time }, { fs }) {
+    const when = time === undefined ? 'now' : time;
+    const existing = await statIfExists(path, fs);
+    return {
+      action: existing
+        ? `set the timestamps of ${path} to ${when}`
+        : `create the empty file ${path} with the timestamps ${when}`,
+      destructive: false,
+    };
+  },
+
+  async usage({ path }, { fs }) {
+    return { files: (await statIfExists(path, fs)) ? 0 : 1 };
+  },
+
+  async handler({ path, time }, { fs }) {
+    const date = time === undefined ? new Date() : new Date(time);
+    if (Number.isNaN(date.getTime())) {
+      console.log(`"${time}" is not a date and time (use e.g. 2024-05-01T12:00:00Z).`);
+      return failed('EINVAL');
+    }
+
+    try {
+      const before = await statIfExists(path, fs);
+      if (!before) {
+        // 'wx': create, but fail with EEXIST if another process created it in the meantime
+        const fileHandle = await fs.open(path, 'wx');
+        await fileHandle.close();
+      }
+
+      await fs.utimes(path, date, date);
+      const undo = before
+        ? [{ op: 'utimes', path, atime: before.atimeMs, mtime: before.mtimeMs }]
+        : [{ op: 'unlink', path, expect: await fileState(path, fs) }];
+      console.log(
+        `${before ? 'Touched' : 'Created'} the file at path ${path} (modified ${date.toISOString()}).`,
+      );
+      return ok(undo);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The directory of ${path} does not exist.`);
+      } else if (error.code === 'EPERM' || error.code === 'EACCES') {
+        console.log(`Not allowed to change the timestamps of ${path}.`);
+      } else {
+        console.log(`An error occurred while touching the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    }
+  },
+};
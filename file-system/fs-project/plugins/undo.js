@@ -0,0 +1,53 @@
+/**
+ * Built-in plugin: undo last command / undo <count>
+ *
+ *   undo last command
+ *   undo 3
+ *
+ * Two phrases, one handler: a plugin module may export an array of definitions.
+ * The undo itself is not recorded (empty undo list), so `undo 1` twice goes two steps back
+ * instead of undoing the undo.
+ *
+ * Undoing can throw data away too: undoing `create a file` unlinks the file (it does not go to the
+ * trash), undoing an append truncates. The plan says so, so dry runs and the confirmation policy
+ * treat such an undo like any other destructive command.
+ */
+
+// Undo steps that remove or overwrite content; the others only put files and times back
+const DESTRUCTIVE_STEPS = ['unlink', 'write', 'truncate'];
+
+async function plan({ count = 1 }, { history }) {
+  const steps = history.latest(count).flatMap((entry) => entry.undo ?? []);
+  return {
+    action: `revert the last ${count} command(s) in the history`,
+    destructive: steps.some((step) => DESTRUCTIVE_STEPS.includes(step.op)),
+  };
+}
+
+async function undo({ count = 1 }, { history, fs, sandbox, trash }) {
+  // The trash may be configured outside the root; undoing a delete takes files out of it
+  const allows = (path) => sandbox.contains(path) || trash.contains(path);
+  const { reverted, code } = await history.undo(count, fs, allows);
+  if (code) {
+    return { status: 'error', code, undo: [] };
+  }
+  console.log(`Undo complete: ${reverted} command(s) reverted.`);
+  return { status: 'ok', undo: [] };
+}
+
+export default [
+  {
+    verb: 'undo',
+    phrase: 'undo last command',
+    syntax: [],
+    plan,
+    handler: undo,
+  },
+  {
+    verb: 'undo',
+    phrase: 'undo',
+    syntax: [{ arg: 'count', type: 'integer' }],
+    plan,
+    handler: undo,
+  },
+];
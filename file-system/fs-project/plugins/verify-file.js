@@ -0,0 +1,54 @@
+/**
+ * Built-in plugin: verify the file <path> against <hash>
+ *
+ *   verify the file ./release.tar.gz against sha256:9f86d081884c7d65...
+ *   verify the file ./release.tar.gz against 9f86d081884c7d65...
+ *
+ * <hash> is `<algorithm>:<hex>` (the output of `checksum of the file`) or a bare hex digest, whose
+ * length tells the algorithm (64: sha256, 32: md5, 8: crc32). A mismatch fails with EINTEGRITY,
+ * so in a transaction it rolls back what came before.
+ */
+
+import { hashFile, parseHash } from '../checksum.js';
+import { failed, readOutcome } from '../operations.js';
+
+export default {
+  verb: 'verifyFile',
+  phrase: 'verify the file',
+  syntax: [
+    { arg: 'path', type: 'path', readOnly: true },
+    { keyword: 'against' },
+    { arg: 'hash', type: 'word' },
+  ],
+
+  async plan({ path, hash }) {
+    return { action: `check that ${path} has the checksum ${hash}`, destructive: false };
+  },
+
+  async handler({ path, hash }, { fs }) {
+    const expected = parseHash(hash);
+    if (!expected) {
+      console.log(`"${hash}" is not a sha256, md5 or crc32 checksum.`);
+      return failed('EINVAL');
+    }
+
+    try {
+      const actual = await hashFile(path, expected.algorithm, fs);
+      if (actual !== expected.digest) {
+        console.log(
+          `The file at path ${path} does not match: expected ${expected.digest}, got ${actual}.`,
+        );
+        return failed('EINTEGRITY');
+      }
+      console.log(`The file at path ${path} matches its ${expected.algorithm} checksum.`);
+      return readOutcome(`${expected.algorithm}:${actual} ok`, false);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`The file at path ${path} does not exist.`);
+      } else {
+        console.log(`An error occurred while hashing the file at path ${path}: ${error.message}`);
+      }
+      return failed(error.code);
+    }
+  },
+};
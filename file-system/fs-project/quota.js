@@ -0,0 +1,198 @@
+/**
+ * Quotas: limits that stop a runaway script before it fills the disk
+ *
+ * A producer with a bug can write `add to the file` in a loop, or create thousands of files. The
+ * watcher runs whatever arrives, so the limits have to be checked here, before each command:
+ *
+ *   limit               checked against
+ *   maxCommandLength    bytes of the command text, heredoc included
+ *   maxFileSize         size of the file after the command
+ *   maxBytesPerMinute   content bytes written in the last 60 s, this command included
+ *   maxFilesCreated     files created in the last filesWindowMs, this command included
+ *
+ * The limits are the config.js settings of the same name; 0 turns one off. A rejected result
+ * names the limit in its `quota` field.
+ *
+ * A command over a limit is rejected with EQUOTA and nothing is changed. Plugins say what a
+ * command would use through their optional usage(args, context) hook (see registry.js);
+ * commands without one (reads, renames, deletes) only count against maxCommandLength.
+ *
+ * Rates use a sliding window: every successful command is remembered with its time, and the
+ * ones older than the window are dropped before each check. A step of a transaction that is
+ * rolled back is forgotten again: what it wrote is gone. A fixed window (reset every full
+ * minute) would let a script write twice the limit around the reset:
+ *
+ *   fixed:    |-- limit --|-- limit --|      both halves fit right before and after 12:01:00
+ *   sliding:  any 60 s span holds at most the limit
+ *
+ * Counters live in memory and start again at zero when the watcher restarts.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - File sizes, disk space
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+class QuotaTracker {
+  /**
+   * @param {Object} limits - 0 (or missing) turns a limit off
+   * @param {number} [limits.maxCommandLength] - Bytes of one command text
+   * @param {number} [limits.maxFileSize] - Bytes of a file after a command wrote to it
+   * @param {number} [limits.maxBytesPerMinute] - Content bytes written in any 60 s
+   * @param {number} [limits.maxFilesCreated] - Files created in any `filesWindowMs`
+   * @param {number} [limits.filesWindowMs] - Window of maxFilesCreated (default one minute)
+   * @param {() => number} [now] - Clock, in ms
+   */
+  constructor(
+    {
+      maxCommandLength = 0,
+      maxFileSize = 0,
+      maxBytesPerMinute = 0,
+      maxFilesCreated = 0,
+      filesWindowMs = MINUTE_MS,
+    } = {},
+    now = Date.now,
+  ) {
+    this.limits = { maxCommandLength, maxFileSize, maxBytesPerMinute, maxFilesCreated };
+    this.filesWindowMs = filesWindowMs;
+    this.now = now;
+    this.written = []; // { at, amount } per command that wrote content
+    this.created = []; // { at, amount } per command that created files
+    this.rejected = {
+      maxCommandLength: 0,
+      maxFileSize: 0,
+      maxBytesPerMinute: 0,
+      maxFilesCreated: 0,
+    };
+  }
+
+  /**
+   * Check the length of a command text.
+   *
+   * @param {string} text
+   * @returns {{ limit: string, message: string } | null} The limit it breaks, or null
+   */
+  checkCommand(text) {
+    const length = Buffer.byteLength(text);
+    const { maxCommandLength } = this.limits;
+    if (maxCommandLength && length > maxCommandLength) {
+      return this._reject(
+        'maxCommandLength',
+        `the command is ${length} bytes long; the limit is ${maxCommandLength}`,
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Check what a command would use, before it runs.
+   *
+   * @param {{ bytes?: number, files?: number, sizeAfter?: number }} usage - From the plugin's
+   *   usage() hook: content bytes it writes, files it creates, size of the file afterwards
+   * @returns {{ limit: string, message: string } | null} The limit it breaks, or null
+   */
+  check({ bytes = 0, files = 0, sizeAfter } = {}) {
+    const { maxFileSize, maxBytesPerMinute, maxFilesCreated } = this.limits;
+
+    if (maxFileSize && sizeAfter !== undefined && sizeAfter > maxFileSize) {
+      return this._reject(
+        'maxFileSize',
+        `the file would grow to ${sizeAfter} bytes; the limit is ${maxFileSize}`,
+      );
+    }
+    const written = this._sum(this.written, MINUTE_MS);
+    if (maxBytesPerMinute && bytes > 0 && written + bytes > maxBytesPerMinute) {
+      return this._reject(
+        'maxBytesPerMinute',
+        `${written} bytes were written in the last minute; ${bytes} more would pass the limit of ${maxBytesPerMinute}`,
+      );
+    }
+    const created = this._sum(this.created, this.filesWindowMs);
+    if (maxFilesCreated && files > 0 && created + files > maxFilesCreated) {
+      return this._reject(
+        'maxFilesCreated',
+        `${created} files were created in the last ${this.filesWindowMs} ms; the limit is ${maxFilesCreated}`,
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Count what a command used, after it succeeded.
+   *
+   * @param {{ bytes?: number, files?: number }} usage
+   * @returns {{ written: Object | null, created: Object | null }} What was counted, for forget()
+   */
+  record({ bytes = 0, files = 0 } = {}) {
+    const at = this.now();
+    const counted = { written: null, created: null };
+    if (bytes > 0) {
+      counted.written = { at, amount: bytes };
+      this.written.push(counted.written);
+    }
+    if (files > 0) {
+      counted.created = { at, amount: files };
+      this.created.push(counted.created);
+    }
+    return counted;
+  }
+
+  /**
+   * Take back what record() counted, when the command was reverted (a rolled-back transaction).
+   *
+   * @param {{ written: Object | null, created: Object | null }} counted - Returned by record()
+   */
+  forget({ written, created }) {
+    // Entries that already left the window are not in the lists any more
+    for (const [entries, entry] of [
+      [this.written, written],
+      [this.created, created],
+    ]) {
+      const index = entries.indexOf(entry);
+      if (index !== -1) {
+        entries.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * The counters, for `show quota usage` and for code embedding the watcher.
+   *
+   * @returns {{ limits: Object, bytesWritten: { used: number, limit: number, windowMs: number },
+   *   filesCreated: { used: number, limit: number, windowMs: number }, rejected: Object }}
+   */
+  usage() {
+    return {
+      limits: { ...this.limits },
+      bytesWritten: {
+        used: this._sum(this.written, MINUTE_MS),
+        limit: this.limits.maxBytesPerMinute,
+        windowMs: MINUTE_MS,
+      },
+      filesCreated: {
+        used: this._sum(this.created, this.filesWindowMs),
+        limit: this.limits.maxFilesCreated,
+        windowMs: this.filesWindowMs,
+      },
+      rejected: { ...this.rejected },
+    };
+  }
+
+  /**
+   * Drop the entries older than the window, add up the rest.
+   */
+  _sum(entries, windowMs) {
+    const since = this.now() - windowMs;
+    while (entries.length > 0 && entries[0].at <= since) {
+      entries.shift();
+    }
+    return entries.reduce((total, entry) => total + entry.amount, 0);
+  }
+
+  _reject(limit, message) {
+    this.rejected[limit]++;
+    return { limit, message };
+  }
+}
+
+export { QuotaTracker };
@@ -0,0 +1,169 @@
+/**
+ * Bounded Reads: read parts of a file through a FileHandle, chunk by chunk
+ *
+ * The read commands (show, head, tail, bytes, hex dump) must work on files of any size. Reading
+ * a 2 GB log with fs.readFile() allocates 2 GB; reading its last 10 lines should not even touch
+ * most of it. So every read here:
+ *
+ * - uses FileHandle.read(buffer, offset, length, position) with an explicit position, the same
+ *   call the watcher uses for the command file (see ../README.md for its parameters)
+ * - reads at most CHUNK_SIZE bytes at a time into one buffer that is reused between reads
+ * - stops at `limit` bytes of output, however large the file is
+ *
+ *   head:  [chunk][chunk][..                    ]   forward from position 0 until N newlines
+ *   tail:  [                    ..][chunk][chunk]   backward from the end until N newlines
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - File positions, FileHandle
+ * - [Memory](../../docs/fundamentals/memory.md) - Why allocation size matters
+ * - [Buffers](../../buffers/) - Buffer views (subarray) and copies (Buffer.from)
+ */
+
+const CHUNK_SIZE = 64 * 1024; // 64 KiB per read() call
+const NEWLINE = 0x0a; // '\n'
+// Characters of one full hexDump() row (16 bytes), its line break included
+const HEX_DUMP_ROW_LENGTH = 79;
+
+/**
+ * Read `length` bytes starting at byte `start` (fewer when the file ends first).
+ *
+ * @param {import('node:fs/promises').FileHandle} fileHandle
+ * @param {number} start - Byte position in the file (0-based)
+ * @param {number} length - Number of bytes wanted (the caller bounds it)
+ * @returns {Promise<Buffer>}
+ */
+async function readBytes(fileHandle, start, length) {
+  const { size } = await fileHandle.stat();
+  const end = Math.min(start + length, size);
+  if (end <= start) {
+    return Buffer.alloc(0);
+  }
+
+  const buff = Buffer.alloc(end - start);
+  let offset = 0;
+  // read() may return fewer bytes than asked for, so keep reading until the range is filled
+  while (offset < buff.length) {
+    const length = Math.min(CHUNK_SIZE, buff.length - offset);
+    const { bytesRead } = await fileHandle.read(buff, offset, length, start + offset);
+    if (bytesRead === 0) {
+      break; // the file shrank while we were reading
+    }
+    offset += bytesRead;
+  }
+  return buff.subarray(0, offset);
+}
+
+/**
+ * The first `count` lines.
+ *
+ * @param {import('node:fs/promises').FileHandle} fileHandle
+ * @param {number} count - Number of lines
+ * @param {number} limit - Maximum number of bytes returned
+ * @returns {Promise<{ data: Buffer, truncated: boolean }>} truncated: `limit` was hit first
+ */
+async function readHeadLines(fileHandle, count, limit) {
+  const { size } = await fileHandle.stat();
+  // Reused for every read: only the bytes we keep are copied out of it
+  const chunk = Buffer.alloc(Math.min(CHUNK_SIZE, limit));
+  const pieces = [];
+  let position = 0;
+  let lines = 0;
+
+  while (position < size && position < limit && lines < count) {
+    const length = Math.min(chunk.length, limit - position);
+    const { bytesRead } = await fileHandle.read(chunk, 0, length, position);
+    if (bytesRead === 0) {
+      break;
+    }
+
+    let end = bytesRead;
+    for (
+      let i = chunk.indexOf(NEWLINE);
+      i !== -1 && i < bytesRead;
+      i = chunk.indexOf(NEWLINE, i + 1)
+    ) {
+      if (++lines === count) {
+        end = i + 1;
+        break;
+      }
+    }
+
+    // Copy: subarray() is a view, and the next read() overwrites the chunk
+    pieces.push(Buffer.from(chunk.subarray(0, end)));
+    position += end;
+  }
+
+  return { data: Buffer.concat(pieces), truncated: lines < count && position < size };
+}
+
+/**
+ * The last `count` lines. A newline at the very end of the file ends the last line; it does not
+ * start an empty one (the same as `tail -n`).
+ *
+ * @param {import('node:fs/promises').FileHandle} fileHandle
+ * @param {number} count - Number of lines
+ * @param {number} limit - Maximum number of bytes returned
+ * @returns {Promise<{ data: Buffer, truncated: boolean }>} truncated: `limit` was hit first
+ */
+async function readTailLines(fileHandle, count, limit) {
+  const { size } = await fileHandle.stat();
+  const chunk = Buffer.alloc(Math.min(CHUNK_SIZE, limit));
+  const pieces = [];
+  let position = size;
+  let total = 0;
+  let newlines = 0;
+
+  while (position > 0 && total < limit) {
+    const length = Math.min(chunk.length, position, limit - total);
+    position -= length;
+    const { bytesRead } = await fileHandle.read(chunk, 0, length, position);
+
+    // Walk the chunk backwards, looking for the newline in front of the count-th last line
+    let start = 0;
+    let found = false;
+    for (let i = bytesRead - 1; i >= 0; i--) {
+      if (chunk[i] !== NEWLINE || position + i === size - 1) {
+        continue;
+      }
+      if (++newlines === count) {
+        start = i + 1;
+        found = true;
+        break;
+      }
+    }
+
+    pieces.unshift(Buffer.from(chunk.subarray(start, bytesRead)));
+    total += bytesRead - start;
+    if (found) {
+      return { data: Buffer.concat(pieces), truncated: false };
+    }
+  }
+
+  return { data: Buffer.concat(pieces), truncated: position > 0 };
+}
+
+/**
+ * Format bytes like `hexdump -C`: offset, 16 bytes in hex, and the printable ASCII characters.
+ *
+ *   00000000  68 65 6c 6c 6f 0a                                 |hello.|
+ *
+ * @param {Buffer} data - The bytes to format (data[0] is shown at offset 0)
+ * @returns {string}
+ */
+function hexDump(data) {
+  const rows = [];
+  for (let i = 0; i < data.length; i += 16) {
+    const row = [...data.subarray(i, i + 16)];
+    const hex = row.map((byte) => byte.toString(16).padStart(2, '0'));
+    // Only 0x20-0x7e are printable ASCII; everything else shows as '.'
+    const ascii = row.map((byte) =>
+      byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.',
+    );
+    rows.push(
+      `${i.toString(16).padStart(8, '0')}  ${hex.slice(0, 8).join(' ').padEnd(23)}  ${hex.slice(8).join(' ').padEnd(23)}  |${ascii.join('')}|`,
+    );
+  }
+  return rows.join('\n');
+}
+
+export { HEX_DUMP_ROW_LENGTH, hexDump, readBytes, readHeadLines, readTailLines };
@@ -0,0 +1,213 @@
+/**
+ * Command Registry: verbs are plugins, loaded from directories at startup
+ *
+ * Adding a verb used to mean touching three places: the grammar in parser.js, the switch in
+ * executor.js and a handler in commands.js. Now a verb is one module in a plugins directory:
+ *
+ *   // plugins/touch-file.js
+ *   export default {
+ *     verb: 'touchFile',                         // name used in results and the history
+ *     phrase: 'touch the file',                  // exact words that select the verb
+ *     syntax: [{ arg: 'path', type: 'path' }],   // arguments after the phrase (see below)
+ *     async handler({ path }, context) {         // paths arrive resolved inside the sandbox
+ *       ...
+ *       return { status: 'ok', undo: [...] };    // outcome (see operations.js)
+ *     },
+ *     async plan({ path }, context) {            // optional: what the handler WOULD do
+ *       return { action: `touch ${path}`, destructive: false };
+ *     },
+ *     async usage({ path }, context) {           // optional: what counts against quotas
+ *       return { files: 1 };
+ *     },
+ *   };
+ *
+ * `plan` must not change anything on disk. It is used by dry-run mode, and by the confirmation
+ * policy to decide whether a command destroys data and has to wait for `confirm <id>`
+ * (see confirmations.js). Without a plan, a command is treated as not destructive.
+ *
+ * `usage` must not change anything on disk either. It returns what the command would use:
+ * { bytes, files, sizeAfter } (content bytes written, files created, size of the written file
+ * afterwards), which quota.js checks before the handler runs. Without it, nothing is counted.
+ *
+ * A module may also export an array of definitions (several phrases for one verb, see undo.js).
+ *
+ * Argument syntax, in order:
+ * - { keyword: 'to' }                             → literal word(s) that must appear
+ * - { arg: 'path', type: 'path' }                 → exactly one token, resolved by the sandbox
+ *   (add readOnly: true when the command only reads it: a directory holding files the watcher
+ *   protects can then still be listed or searched, see sandbox.js)
+ * - { arg: 'id', type: 'word' }                   → exactly one token, used as-is
+ * - { arg: 'count', type: 'integer' }             → one token holding a positive whole number
+ * - { arg: 'lines', type: 'range' }               → one token such as 3-7, args.lines = { start, end }
+ *                                                   (starts at 1; add min: 0 for byte offsets)
+ * - { arg: 'content', type: 'text' }              → the rest of the line (must come last)
+ * - { flag: 'recursive', keyword: 'recursively' } → optional word, args.recursive = true/false
+ * - { option: 'encoding', keyword: 'as' }         → optional word and the token after it,
+ *                                                   args.encoding = 'base64' or undefined
+ *
+ * Trailing elements can be marked `optional: true` (every element after an optional one must be
+ * optional too). They are all or nothing: when the line ends before the first one, all of them
+ * are left out and their args are undefined; otherwise all of them are required. So
+ * [path, { keyword: 'at', optional: true }, { arg: 'time', type: 'text', optional: true }]
+ * matches `touch the file ./a.txt` and `touch the file ./a.txt at 2024-05-01T12:00:00Z`, but not
+ * `touch the file ./a.txt at`.
+ *
+ * Definitions are checked when they are registered, so a broken plugin stops the watcher at
+ * startup instead of failing on the first command that uses it.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - Reading directories
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - import() returns a promise
+ */
+
+import fs from 'node:fs/promises';
+import { extname, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { ARGUMENT_TYPES } from './parser.js';
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+class CommandRegistry {
+  constructor() {
+    // Every registered phrase, in registration order (this is the parser's grammar)
+    this.definitions = [];
+    // verb → { handler, plan }
+    this.verbs = new Map();
+  }
+
+  /**
+   * Create a registry with the plugins of every directory, in order.
+   *
+   * @param {string[]} dirs - Plugin directories (built-in plugins first)
+   * @returns {Promise<CommandRegistry>}
+   */
+  static async load(dirs) {
+    const registry = new CommandRegistry();
+    for (const dir of dirs) {
+      await registry.loadDirectory(dir);
+    }
+    return registry;
+  }
+
+  /**
+   * Import every plugin module in a directory (alphabetical order, so loading is repeatable).
+   *
+   * @param {string} dir - Directory holding .js/.mjs plugin modules
+   */
+  async loadDirectory(dir) {
+    const names = (await fs.readdir(dir))
+      .filter((name) => PLUGIN_EXTENSIONS.includes(extname(name)))
+      .sort();
+
+    for (const name of names) {
+      const file = join(dir, name);
+      // import() takes a URL, not a path: Windows paths such as C:\... are not valid specifiers
+      const module = await import(pathToFileURL(file).href);
+      if (module.default === undefined) {
+        throw new Error(`Plugin ${file} has no default export`);
+      }
+      const definitions = Array.isArray(module.default) ? module.default : [module.default];
+      for (const definition of definitions) {
+        this.register(definition, file);
+      }
+    }
+  }
+
+  /**
+   * Add one verb definition.
+   *
+   * @param {{ verb: string, phrase: string, syntax: Array<Object>, handler: Function, plan?: Function, usage?: Function }} definition
+   * @param {string} [source] - Where the definition came from (used in error messages)
+   * @throws {Error} When the definition is invalid or its phrase is already taken
+   */
+  register(definition, source = 'register()') {
+    const { verb, phrase, syntax, handler, plan, usage } = definition ?? {};
+    const fail = (message) => {
+      throw new Error(`Invalid command plugin in ${source}: ${message}`);
+    };
+
+    if (typeof verb !== 'string' || !verb) {
+      fail('"verb" must be a non-empty string');
+    }
+    if (typeof phrase !== 'string' || !/^\S+( \S+)*$/.test(phrase)) {
+      fail(`"phrase" of ${verb} must be words separated by single spaces`);
+    }
+    if (typeof handler !== 'function') {
+      fail(`"handler" of ${verb} must be a function`);
+    }
+    if (plan !== undefined && typeof plan !== 'function') {
+      fail(`"plan" of ${verb} must be a function`);
+    }
+    if (usage !== undefined && typeof usage !== 'function') {
+      fail(`"usage" of ${verb} must be a function`);
+    }
+    if (!Array.isArray(syntax)) {
+      fail(`"syntax" of ${verb} must be an array`);
+    }
+    syntax.forEach((element, index) => {
+      if (!element.optional && syntax.slice(0, index).some((earlier) => earlier.optional)) {
+        fail(
+          `syntax element ${index} of ${verb} follows an optional element, so it must be optional`,
+        );
+      }
+      if (element.flag || element.option || element.keyword) {
+        if (typeof element.keyword !== 'string' || !element.keyword) {
+          fail(`syntax element ${index} of ${verb} needs a keyword`);
+        }
+      } else if (!element.arg || !ARGUMENT_TYPES.includes(element.type)) {
+        fail(`syntax element ${index} of ${verb} needs an arg and a type (${ARGUMENT_TYPES})`);
+      } else if (element.type === 'text' && index !== syntax.length - 1) {
+        // A text argument takes the rest of the line; nothing after it could ever match
+        fail(`the text argument <${element.arg}> of ${verb} must be the last syntax element`);
+      }
+    });
+
+    const taken = this.definitions.find((existing) => existing.phrase === phrase);
+    if (taken) {
+      fail(`the phrase "${phrase}" is already used by ${taken.verb}`);
+    }
+    const registered = this.verbs.get(verb);
+    if (
+      registered &&
+      (registered.handler !== handler || registered.plan !== plan || registered.usage !== usage)
+    ) {
+      fail(`the verb ${verb} is already registered with a different handler`);
+    }
+
+    this.definitions.push({ verb, phrase, syntax });
+    this.verbs.set(verb, { handler, plan, usage });
+  }
+
+  /**
+   * @returns {Array<{ verb: string, phrase: string, syntax: Array<Object> }>} Grammar for parseCommand()
+   */
+  get grammar() {
+    return this.definitions;
+  }
+
+  /**
+   * @param {string} verb - Verb of a parsed command
+   * @returns {Function | undefined} Its handler, called as handler(args, context)
+   */
+  handlerFor(verb) {
+    return this.verbs.get(verb)?.handler;
+  }
+
+  /**
+   * @param {string} verb - Verb of a parsed command
+   * @returns {Function | undefined} Its plan, called as plan(args, context); undefined if it has none
+   */
+  planFor(verb) {
+    return this.verbs.get(verb)?.plan;
+  }
+
+  /**
+   * @param {string} verb - Verb of a parsed command
+   * @returns {Function | undefined} Its usage hook, called as usage(args, context) (see quota.js)
+   */
+  usageFor(verb) {
+    return this.verbs.get(verb)?.usage;
+  }
+}
+
+export { CommandRegistry };
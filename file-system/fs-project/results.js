@@ -0,0 +1,56 @@
+/**
+ * Result Log: one JSON line per processed command
+ *
+ * Console messages are for people. Tools that write command.txt need something they can parse,
+ * so every processed command (and every line that failed to parse) appends one JSON object to a
+ * JSON Lines file (one JSON document per line, `.jsonl`):
+ *
+ *   {"id":"job-42","line":1,"command":"create a file ./a.txt","verb":"createFile",
+ *    "args":{"path":"./a.txt"},"status":"ok","code":null,"durationMs":1.84,"finishedAt":"..."}
+ *
+ * Read commands (show the file, head, tail, bytes, hex dump) put what they read in an `output`
+ * field, with `truncated: true` when it stopped at the read limit.
+ *
+ * In inbox mode every line also has a `job` field with the job's file name (see inbox.js).
+ *
+ * A writer prefixes its command with an id (`@job-42 create a file ./a.txt`) and then waits for
+ * the line with that id to appear. Commands without an id get a generated UUID.
+ *
+ * status values:
+ * - ok           the command succeeded
+ * - error        the command ran and failed (code: ENOENT, EEXIST, ...)
+ * - rejected     the command was never attempted (code: EPARSE, ESANDBOX, ECONFIRM)
+ * - rolled-back  it succeeded inside a transaction that later failed, and was reverted
+ * - skipped      it was inside a transaction that failed before reaching it
+ * - planned      dry run: `plan` says what it would have done, nothing was changed
+ * - held         destructive, waiting for `confirm <id>` (see confirmations.js)
+ *
+ * Why JSON Lines: appending one line never rewrites earlier results, readers can `tail -f` the
+ * file, and a partially written last line never corrupts the lines before it.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - Append mode ('a' flag)
+ */
+
+import fs from 'node:fs/promises';
+
+class ResultLog {
+  /**
+   * @param {string} file - JSON Lines file results are appended to
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * Append one result.
+   *
+   * @param {Object} result - Plain, JSON-serializable result object
+   */
+  async write(result) {
+    // appendFile opens with the 'a' flag: every write lands at the current end of the file
+    await fs.appendFile(this.file, `${JSON.stringify(result)}\n`);
+  }
+}
+
+export { ResultLog };
@@ -0,0 +1,226 @@
+/**
+ * Sandbox: confine every command path to one working root
+ *
+ * Without a sandbox, `delete a file ../../etc/something` deletes whatever the process can reach.
+ * Every path from a command is resolved against the sandbox root and rejected if the result
+ * escapes it - whether through `..` segments, an absolute path, or a symlink that points outside.
+ *
+ * Symlinks are followed when CHECKING, not when ACTING:
+ * - The parent directory is resolved with fs.realpath(), so a symlinked directory that leads
+ *   outside the root is caught
+ * - If the final component is itself a symlink, its target must be inside the root too
+ *   (opening it for writing would follow it)
+ * - The returned path is <real parent>/<name>, so deleting or renaming a symlink acts on the
+ *   link itself, not on the file it points to
+ *
+ * Paths that do not exist yet (create a file ./new/dir/file.txt) are resolved through their
+ * deepest existing ancestor.
+ *
+ * Protected paths: the root may contain files the watcher itself depends on, e.g. when it is
+ * started from the repository root. A command that rewrites plugins/create-file.js injects code;
+ * one that rewrites the history or the pending confirmations forges what undo and confirm do.
+ * protect() keeps such paths out of reach (EPROTECTED), together with everything inside them.
+ * A directory that holds one can still be read (listed, searched), but not changed: renaming,
+ * removing or chmod-ing it would take the protected paths along. find and search skip them.
+ *
+ * ⚠️ This is a check-then-act design: a process that swaps a directory for a symlink between the
+ * check and the operation can still escape. It stops mistakes and hostile command text, not a
+ * hostile process that shares the same directory tree.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - Paths, hierarchical structure, permissions
+ */
+
+import { basename, dirname, isAbsolute, join, relative, resolve } from 'node:path';
+import { diskFs } from './fs-adapter.js';
+
+/**
+ * Thrown when a command path resolves outside the sandbox root.
+ */
+class SandboxError extends Error {
+  constructor(requestedPath, root) {
+    super(`Path "${requestedPath}" resolves outside the sandbox root ${root}`);
+    this.name = 'SandboxError';
+    this.code = 'ESANDBOX';
+    this.path = requestedPath;
+  }
+}
+
+/**
+ * Thrown when a command path is or lies inside a protected path, or a command would change a
+ * directory that holds one (see protect()).
+ */
+class ProtectedPathError extends SandboxError {
+  constructor(requestedPath, protectedPath) {
+    super(requestedPath, protectedPath);
+    this.message = `Path "${requestedPath}" would reach ${protectedPath}, which the watcher keeps for itself`;
+    this.name = 'ProtectedPathError';
+    this.code = 'EPROTECTED';
+  }
+}
+
+class Sandbox {
+  /**
+   * @param {string} root - Real (symlink-free) absolute path of the sandbox root
+   * @param {Object} fs - File system adapter the root lives on (see fs-adapter.js)
+   */
+  constructor(root, fs) {
+    this.root = root;
+    this.fs = fs;
+    this.protectedPaths = [];
+  }
+
+  /**
+   * Create a sandbox for an existing directory.
+   *
+   * @param {string} root - Directory to confine commands to (relative paths resolve from cwd)
+   * @param {Object} [fs] - File system adapter (see fs-adapter.js)
+   * @returns {Promise<Sandbox>}
+   */
+  static async create(root, fs = diskFs) {
+    const realRoot = await fs.realpath(resolve(root));
+    const stats = await fs.stat(realRoot);
+    if (!stats.isDirectory()) {
+      throw new Error(`Sandbox root ${realRoot} is not a directory`);
+    }
+    return new Sandbox(realRoot, fs);
+  }
+
+  /**
+   * Keep paths away from commands. A protected file also covers the files next to it that start
+   * with its name (`history.json.tmp` of a write-then-rename, `audit.jsonl.1` of a rotation).
+   *
+   * A directory that holds the whole root (the program directory when the watcher is started
+   * from inside it) cannot be protected as a whole without rejecting every command; it is
+   * skipped, and the paths listed inside it still count.
+   *
+   * @param {string[]} paths - Absolute paths; they do not need to exist (yet)
+   */
+  async protect(paths) {
+    for (const path of paths) {
+      const realPath = await realpathAllowMissing(resolve(path), this.fs);
+      if (!isInside(realPath, this.root)) {
+        this.protectedPaths.push(realPath);
+      }
+    }
+  }
+
+  /**
+   * Resolve a command path inside the sandbox.
+   *
+   * @param {string} requestedPath - Path as written in the command (relative to the root, or absolute)
+   * @param {{ readOnly?: boolean }} [options] - readOnly: the command only reads the path, so it
+   *   may be a directory that holds protected paths
+   * @returns {Promise<string>} Absolute path safe to operate on
+   * @throws {SandboxError} When the path escapes the root
+   */
+  async resolve(requestedPath, { readOnly = false } = {}) {
+    if (requestedPath.includes('\0')) {
+      // Null bytes truncate paths at the C level; never let one through
+      throw new SandboxError(requestedPath, this.root);
+    }
+
+    const target = resolve(this.root, requestedPath);
+    if (target === this.root) {
+      this._checkProtected(requestedPath, this.root, readOnly);
+      return this.root;
+    }
+
+    const realParent = await realpathAllowMissing(dirname(target), this.fs);
+    const candidate = join(realParent, basename(target));
+    if (!this.contains(candidate)) {
+      throw new SandboxError(requestedPath, this.root);
+    }
+    this._checkProtected(requestedPath, candidate, readOnly);
+
+    // The last component may be a symlink: whatever it points to must be inside as well
+    const stats = await lstatIfExists(candidate, this.fs);
+    if (stats?.isSymbolicLink()) {
+      const linkTarget = resolve(realParent, await this.fs.readlink(candidate));
+      const realTarget = await realpathAllowMissing(linkTarget, this.fs);
+      if (!this.contains(realTarget)) {
+        throw new SandboxError(requestedPath, this.root);
+      }
+      this._checkProtected(requestedPath, realTarget, readOnly);
+    }
+
+    return candidate;
+  }
+
+  /**
+   * @param {string} absolutePath - Symlink-free absolute path
+   * @returns {boolean} True when the path is the root or below it
+   */
+  contains(absolutePath) {
+    return isInside(this.root, absolutePath);
+  }
+
+  /**
+   * @param {string} absolutePath - Symlink-free absolute path
+   * @returns {boolean} True when the path is protected or inside a protected path (see protect())
+   */
+  isProtected(absolutePath) {
+    return this.protectedPaths.some((protectedPath) => covers(protectedPath, absolutePath));
+  }
+
+  _checkProtected(requestedPath, absolutePath, readOnly) {
+    for (const protectedPath of this.protectedPaths) {
+      // Reading a directory does not reach the protected paths in it; changing it does
+      if (
+        covers(protectedPath, absolutePath) ||
+        (!readOnly && isInside(absolutePath, protectedPath))
+      ) {
+        throw new ProtectedPathError(requestedPath, protectedPath);
+      }
+    }
+  }
+}
+
+/**
+ * @returns {boolean} True when `path` is the protected path, below it, or a file next to it that
+ *   starts with its name
+ */
+function covers(protectedPath, path) {
+  return (
+    isInside(protectedPath, path) ||
+    (basename(path).startsWith(`${basename(protectedPath)}.`) &&
+      dirname(path) === dirname(protectedPath))
+  );
+}
+
+/**
+ * @returns {boolean} True when `path` is `dir` or below it
+ */
+function isInside(dir, path) {
+  const rel = relative(dir, path);
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+/**
+ * fs.realpath() for paths whose tail may not exist yet: the deepest existing ancestor is
+ * resolved, and the missing components are appended unchanged.
+ */
+async function realpathAllowMissing(path, fs) {
+  try {
+    return await fs.realpath(path);
+  } catch (error) {
+    const parent = dirname(path);
+    if (error.code !== 'ENOENT' || parent === path) {
+      throw error;
+    }
+    return join(await realpathAllowMissing(parent, fs), basename(path));
+  }
+}
+
+async function lstatIfExists(path, fs) {
+  try {
+    return await fs.lstat(path);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export { ProtectedPathError, Sandbox, SandboxError };
@@ -0,0 +1,134 @@
+/**
+ * Change Scheduler: coalesce fs.watch events and run one batch at a time
+ *
+ * Two problems with reacting to every fs.watch 'change' event directly:
+ *
+ * 1. Duplicate events: one save in an editor often fires 2-4 'change' events (truncate, write,
+ *    metadata update...). Each one would run the command file again.
+ * 2. Overlap: an async handler started by an event does not wait for the previous one, so two
+ *    batches can read and modify the same files at the same time.
+ *
+ * The scheduler fixes both:
+ *
+ *   events:  x x x        x      x x          (fs.watch 'change')
+ *            |--settle--| |--settle--|        events inside the settle window are merged
+ *   batches:             [=====run=====][run] a change during a run queues ONE follow-up run
+ *
+ * - Settle window (debounce): a batch starts only after no event arrived for `settleMs`
+ * - Single flight: at most one batch runs; changes that settle while it runs queue exactly one
+ *   more batch (it re-reads the file, so it sees every change that was queued)
+ * - Stop: on shutdown no new batch starts, and the running one is allowed to finish
+ *
+ * Related fundamentals:
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - Event loop, timers, promises
+ * - [EventEmitter](../../emitters/) - production-example.js shows the same debouncing idea for events
+ */
+
+class ChangeScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.settleMs - Quiet time required before a batch starts
+   * @param {() => Promise<void>} options.run - The batch to run (reads and executes commands)
+   * @param {(error: Error) => void} [options.onError] - Told about a batch that threw
+   *   (default: log it)
+   */
+  constructor({ settleMs, run, onError }) {
+    this.settleMs = settleMs;
+    this.run = run;
+    this.onError =
+      onError ??
+      ((error) => console.log(`Error while processing the command file: ${error.message}`));
+
+    this.timer = null;
+    this.running = false;
+    this.queued = false;
+    this.stopped = false;
+    this.draining = null;
+
+    // Counters (see getStats)
+    this.eventsReceived = 0;
+    this.eventsDropped = 0;
+    this.batchesRun = 0;
+  }
+
+  /**
+   * Report one change event. Cheap and synchronous: safe to call for every fs.watch event.
+   */
+  notify() {
+    if (this.stopped) {
+      return;
+    }
+    this.eventsReceived++;
+
+    if (this.timer) {
+      // Still inside the settle window: this event is merged into the pending one
+      this.eventsDropped++;
+      clearTimeout(this.timer);
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._settled();
+    }, this.settleMs);
+  }
+
+  _settled() {
+    if (this.running) {
+      if (this.queued) {
+        // A follow-up batch is already queued and will see this change too
+        this.eventsDropped++;
+      }
+      this.queued = true;
+      return;
+    }
+    this.draining = this._drain();
+  }
+
+  async _drain() {
+    this.running = true;
+    try {
+      do {
+        this.queued = false;
+        try {
+          await this.run();
+        } catch (error) {
+          // One failing batch must not stop the watcher
+          this.onError(error);
+        }
+        this.batchesRun++;
+      } while (this.queued);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Stop scheduling batches: a pending settle timer is cancelled and a queued follow-up is
+   * dropped. A batch that is already running is not interrupted (it may be in the middle of a
+   * transaction); the returned promise resolves once it has finished.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.queued = false;
+    await this.draining;
+  }
+
+  /**
+   * @returns {{ eventsReceived: number, eventsDropped: number, batchesRun: number, running: boolean, queued: boolean }}
+   */
+  getStats() {
+    return {
+      eventsReceived: this.eventsReceived,
+      eventsDropped: this.eventsDropped,
+      batchesRun: this.batchesRun,
+      running: this.running,
+      queued: this.queued,
+    };
+  }
+}
+
+export { ChangeScheduler };
@@ -0,0 +1,233 @@
+/**
+ * Command Scripts: one command per line, with optional begin/commit blocks
+ *
+ * command.txt can hold several commands. Each line is parsed on its own (see parser.js) and
+ * lines are grouped into "units" that the executor runs in order:
+ *
+ *   create a file ./a.txt             → { type: 'command' }
+ *   begin                             ┐
+ *   create a file ./b.txt             │ → { type: 'transaction', commands: [...] }
+ *   rename the file ./b.txt to ./c.txt│   all-or-nothing: a failing step reverts the earlier ones
+ *   commit                            ┘
+ *
+ * Blank lines and lines starting with '#' are ignored.
+ *
+ * A command line ending in `<<TAG` takes the lines below it, up to a line `TAG`, as its text
+ * (a heredoc, see readHeredoc in parser.js). Those lines are content: a `begin`, `commit` or
+ * `# ...` among them is not a script line.
+ *
+ *   add to the file ./notes.txt this content: <<EOF
+ *   first line
+ *   commit                            → part of the content
+ *   EOF
+ *
+ * A line that does not parse becomes an { type: 'error' } unit. If that line is inside a
+ * begin/commit block, the whole block is rejected before anything runs: a batch that cannot
+ * be fully understood is never half-applied.
+ */
+
+import { CommandParseError, heredocTag, parseCommand } from './parser.js';
+
+const BEGIN = 'begin';
+const COMMIT = 'commit';
+
+/**
+ * Split a script into executable units.
+ *
+ * @param {string} text - Full content of the command file
+ * @param {Array<Object>} grammar - Verb definitions for parseCommand() (see registry.js)
+ * @param {number} [firstLine] - Line number of the text's first line: journal mode parses only
+ *   the lines appended to the command file, and reports them with their place in the whole file
+ * @returns {Array<Object>} Units in file order. Every unit has `line` (1-based).
+ *   - { type: 'command', line, command }
+ *   - { type: 'transaction', line, commands: [{ line, command }] }
+ *   - { type: 'error', line, text, error }  (error is a CommandParseError)
+ */
+function parseScript(text, grammar, firstLine = 1) {
+  const units = [];
+  // The open begin/commit block, if any
+  let block = null;
+
+  const lines = text.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length; index++) {
+    const lineNumber = index + firstLine;
+    const lineText = lines[index];
+    const trimmed = lineText.trim();
+
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    if (trimmed === BEGIN) {
+      if (block) {
+        block.errors.push(
+          lineError(lineNumber, lineText, 'Nested "begin" is not allowed', lineText.indexOf(BEGIN)),
+        );
+        continue;
+      }
+      block = { line: lineNumber, text: lineText, commands: [], errors: [] };
+      continue;
+    }
+
+    if (trimmed === COMMIT) {
+      if (!block) {
+        units.push(
+          lineError(
+            lineNumber,
+            lineText,
+            '"commit" without a matching "begin"',
+            lineText.indexOf(COMMIT),
+          ),
+        );
+        continue;
+      }
+      units.push(closeBlock(block));
+      block = null;
+      continue;
+    }
+
+    let commandText = lineText;
+    const tag = heredocTag(lineText);
+    if (tag) {
+      // The command and its heredoc go to the parser as one text. Without a closing line the
+      // rest of the script is taken, and the parser reports the heredoc as not closed
+      const end = lines.findIndex((line, i) => i > index && line.trim() === tag);
+      const last = end === -1 ? lines.length - 1 : end;
+      commandText = lines.slice(index, last + 1).join('\n');
+      index = last;
+    }
+
+    let unit;
+    try {
+      unit = { type: 'command', line: lineNumber, command: parseCommand(commandText, grammar) };
+    } catch (error) {
+      if (!(error instanceof CommandParseError)) {
+        throw error;
+      }
+      error.line = lineNumber;
+      unit = { type: 'error', line: lineNumber, text: lineText, error };
+    }
+
+    if (!block) {
+      units.push(unit);
+    } else if (unit.type === 'error') {
+      block.errors.push(unit);
+    } else {
+      block.commands.push({ line: unit.line, command: unit.command });
+    }
+  }
+
+  if (block) {
+    block.errors.push(
+      lineError(
+        block.line,
+        block.text,
+        '"begin" without a matching "commit"',
+        block.text.indexOf(BEGIN),
+      ),
+    );
+    units.push(closeBlock(block));
+  }
+
+  return units;
+}
+
+/**
+ * A finished block becomes a transaction, or - if any of its lines failed to parse -
+ * an error unit that carries every problem found inside it.
+ */
+function closeBlock(block) {
+  if (block.errors.length > 0) {
+    const [first] = block.errors;
+    return { ...first, blockLine: block.line, errors: block.errors };
+  }
+  return { type: 'transaction', line: block.line, commands: block.commands };
+}
+
+function lineError(line, text, message, index) {
+  const error = new CommandParseError(message, index + 1);
+  error.line = line;
+  return { type: 'error', line, text, error };
+}
+
+/**
+ * Find a begin/commit block or heredoc that is still open at the end of `text`.
+ *
+ * Used in journal mode, where commands arrive in pieces: a block whose `commit` has not been
+ * written yet must wait instead of being rejected as "begin without commit", and a heredoc
+ * whose closing line has not been written yet must wait instead of being cut short.
+ *
+ * @param {string} text - Complete lines of a script
+ * @returns {{ index: number, open: { block: boolean, heredoc: string | null } } | null}
+ *   Character index where the unfinished unit starts, and what is still open at the end of the
+ *   text; null when everything is finished
+ */
+function findUnfinished(text) {
+  const open = { block: false, heredoc: null };
+  let index = 0;
+  let blockAt = -1;
+  let heredocAt = -1;
+
+  for (const line of text.split('\n')) {
+    const wasBlock = open.block;
+    const wasHeredoc = open.heredoc;
+    scanLine(open, line);
+    if (open.block && !wasBlock) {
+      blockAt = index;
+    }
+    if (open.heredoc && !wasHeredoc) {
+      heredocAt = index;
+    }
+    index += line.length + 1; // + 1 for the '\n' removed by split()
+  }
+
+  if (open.block) {
+    return { index: blockAt, open };
+  }
+  return open.heredoc ? { index: heredocAt, open } : null;
+}
+
+/**
+ * Find the line that finishes a unit left open by an earlier piece of the script.
+ *
+ * Used in journal mode to skip a unit too large to run: everything up to its `commit` (or the
+ * closing line of its heredoc) is passed over.
+ *
+ * @param {string} text - Complete lines that follow the unfinished unit's earlier lines
+ * @param {{ block: boolean, heredoc: string | null }} open - What was still open before `text`
+ * @returns {{ length: number, open: { block: boolean, heredoc: string | null } | null }} Number of
+ *   characters up to and including the finishing line (text.length if there is none yet), and
+ *   what is still open after them (null once the unit is finished)
+ */
+function findUnitEnd(text, open) {
+  const state = { ...open };
+  let length = 0;
+
+  for (const line of text.split('\n').slice(0, -1)) {
+    scanLine(state, line);
+    length += line.length + 1;
+    if (!state.block && !state.heredoc) {
+      return { length, open: null };
+    }
+  }
+  return { length: text.length, open: state };
+}
+
+// Track one line's effect on what is open: a heredoc, a begin/commit block, or both
+function scanLine(open, line) {
+  const trimmed = line.trim();
+  if (open.heredoc) {
+    if (trimmed === open.heredoc) {
+      open.heredoc = null;
+    }
+  } else if (trimmed === BEGIN) {
+    open.block = true;
+  } else if (trimmed === COMMIT) {
+    open.block = false;
+  } else if (trimmed && !trimmed.startsWith('#') && heredocTag(line)) {
+    open.heredoc = heredocTag(line);
+  }
+}
+
+export { findUnfinished, findUnitEnd, parseScript };
@@ -0,0 +1,331 @@
+/**
+ * Search: walk a directory tree and scan files line by line, without loading whole files
+ *
+ * `find files matching` and `search for` (see plugins/) are built from three pieces:
+ *
+ * - walk(): an async generator over the files below a directory. fs.opendir() hands out entries
+ *   one by one instead of building one array per directory (fs.readdir), and the generator
+ *   pauses between files, so the caller decides how far the walk goes (it stops at the output
+ *   limit). A depth limit bounds deep trees.
+ * - compileGlob(): `*.txt`, `src/**\/*.js`, `report-?.{csv,tsv}` → a test for paths
+ * - matchLines(): reads a file through a FileHandle in CHUNK_SIZE pieces into one reused buffer
+ *   and reports the lines that match, with their line numbers
+ *
+ *   chunk 1: [line 1\nline 2\nli]  chunk 2: [ne 3\nline 4\n]
+ *                              └── carried over ──┘         "line 3" is matched once it is whole
+ *
+ * Why a StringDecoder: a chunk boundary can fall inside a multi-byte UTF-8 character ('é' is
+ * 2 bytes, '€' 3). Decoding each chunk with buffer.toString() would turn both halves into
+ * U+FFFD; the decoder keeps the incomplete bytes until the next chunk completes them.
+ *
+ * Symbolic links are not followed (a link could lead outside the sandbox, or in a circle).
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - Directories, FileHandle reads
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - Async generators
+ * - [Binary Data](../../docs/fundamentals/binary-data.md) - UTF-8 multi-byte sequences
+ */
+
+import { join, relative, sep } from 'node:path';
+import { StringDecoder } from 'node:string_decoder';
+import { diskFs } from './fs-adapter.js';
+
+const CHUNK_SIZE = 64 * 1024; // 64 KiB per read() call
+// A longer line is cut here (only its start is searched), so one huge line (minified JS, a
+// database dump) cannot grow the carried-over text without bound
+const MAX_LINE_LENGTH = 64 * 1024;
+
+/**
+ * Every file below `dir`, depth first, in directory order.
+ *
+ * @param {string} dir - Absolute directory to walk
+ * @param {Object} options
+ * @param {number} options.maxDepth - 1: only the files directly in `dir`; 2: also one level of
+ *   sub-directories; ...
+ * @param {(path: string) => boolean} [options.skip] - True for an absolute path that is neither
+ *   listed nor entered (e.g. the trash, or files the watcher protects)
+ * @param {Object} [options.fs] - File system adapter (see fs-adapter.js)
+ * @returns {AsyncGenerator<string>} Absolute file paths
+ */
+async function* walk(dir, { maxDepth, skip = () => false, fs = diskFs }, depth = 1) {
+  let handle;
+  try {
+    handle = await fs.opendir(dir);
+  } catch (error) {
+    // The top directory must exist; an unreadable sub-directory is skipped, not fatal
+    if (depth === 1) {
+      throw error;
+    }
+    console.log(`Skipped ${dir}: ${error.code}`);
+    return;
+  }
+
+  // for await over a Dir closes it when the loop ends (also when the caller stops early)
+  for await (const entry of handle) {
+    const path = join(dir, entry.name);
+    if (skip(path)) {
+      continue;
+    }
+    if (entry.isFile()) {
+      yield path;
+    } else if (entry.isDirectory() && depth < maxDepth) {
+      yield* walk(path, { maxDepth, skip, fs }, depth + 1);
+    }
+  }
+}
+
+/**
+ * Thrown for a glob that cannot be compiled: an unclosed '{', a range written backwards
+ * ([z-a]), or too many alternatives.
+ */
+class GlobError extends Error {
+  constructor(glob, problem) {
+    super(`${glob} is not a valid glob: ${problem}`);
+    this.name = 'GlobError';
+    this.code = 'EINVAL';
+  }
+}
+
+// {a,b}{c,d}{e,f} multiplies: 2 × 2 × 2 alternatives. More than this many are refused
+const MAX_GLOB_ALTERNATIVES = 256;
+
+/**
+ * Compile a glob pattern into a test for whole paths.
+ *
+ *   *      any characters except '/'
+ *   **     any characters including '/' (`**\/` also matches no directory at all)
+ *   ?      one character except '/'
+ *   [abc]  one of the characters, or ranges such as [a-z] (`[!abc]`: none of them)
+ *   {a,b}  one of the alternatives
+ *
+ * Why not a RegExp: `*a*a*a*a*a*a*a*a*a*a*b` becomes a chain of `[^/]*` groups, and a
+ * backtracking engine tries every way of splitting a 60-character name between them before it
+ * gives up: minutes, on the watcher's own thread. Here every position of the pattern is
+ * tracked at once (like grep's automaton), so a test takes at most pattern length × path
+ * length steps, whatever the pattern.
+ *
+ * @param {string} glob
+ * @returns {(path: string) => boolean}
+ * @throws {GlobError}
+ */
+function compileGlob(glob) {
+  const alternatives = expandBraces(glob, glob).map((text) => parseGlob(text, glob));
+  return (path) => alternatives.some((tokens) => matchGlob(tokens, path));
+}
+
+/**
+ * 'report.{csv,tsv}' → ['report.csv', 'report.tsv'], nested braces included.
+ * Braces inside [...] are ordinary characters.
+ */
+function expandBraces(text, glob) {
+  let open = -1;
+  let partStart = -1;
+  let depth = 0;
+  const parts = [];
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '[' && text.indexOf(']', i + 1) !== -1) {
+      i = text.indexOf(']', i + 1);
+    } else if (char === '{') {
+      if (depth === 0) {
+        open = i;
+        partStart = i + 1;
+      }
+      depth++;
+    } else if (char === ',' && depth === 1) {
+      parts.push(text.slice(partStart, i));
+      partStart = i + 1;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        parts.push(text.slice(partStart, i));
+        const prefix = text.slice(0, open);
+        const suffix = text.slice(i + 1);
+        const expanded = [];
+        for (const part of parts) {
+          expanded.push(...expandBraces(prefix + part + suffix, glob));
+          if (expanded.length > MAX_GLOB_ALTERNATIVES) {
+            throw new GlobError(glob, `more than ${MAX_GLOB_ALTERNATIVES} alternatives`);
+          }
+        }
+        return expanded;
+      }
+    }
+  }
+  if (depth > 0) {
+    throw new GlobError(glob, "a '{' is not closed");
+  }
+  return [text];
+}
+
+/**
+ * A glob without braces → tokens: { type: 'char', char }, 'one' (?), 'class' ([...]),
+ * 'name' (*), 'any' (**) and 'dirs' (**\/).
+ */
+function parseGlob(text, glob) {
+  const tokens = [];
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const end = char === '[' ? text.indexOf(']', i + 1) : -1;
+    if (char === '*' && text[i + 1] === '*') {
+      const slash = text[i + 2] === '/';
+      tokens.push({ type: slash ? 'dirs' : 'any' });
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      tokens.push({ type: 'name' });
+    } else if (char === '?') {
+      tokens.push({ type: 'one' });
+    } else if (end !== -1) {
+      tokens.push(parseClass(text.slice(i + 1, end), glob));
+      i = end;
+    } else {
+      // Also a '[' without its ']': an ordinary character
+      tokens.push({ type: 'char', char });
+    }
+  }
+  return tokens;
+}
+
+function parseClass(body, glob) {
+  const negated = body.startsWith('!') || body.startsWith('^');
+  const chars = [...(negated ? body.slice(1) : body)];
+  const ranges = [];
+  for (let i = 0; i < chars.length; i++) {
+    if (chars[i + 1] === '-' && i + 2 < chars.length) {
+      if (chars[i] > chars[i + 2]) {
+        throw new GlobError(
+          glob,
+          `the range ${chars[i]}-${chars[i + 2]} in [${body}] is backwards`,
+        );
+      }
+      ranges.push([chars[i], chars[i + 2]]);
+      i += 2;
+    } else {
+      ranges.push([chars[i], chars[i]]);
+    }
+  }
+  return { type: 'class', negated, ranges };
+}
+
+/**
+ * Run the tokens over the path, keeping every state the pattern could be in. State 2i: at
+ * token i; state 2i + 1: inside the directories of a 'dirs' token i (waiting for a '/').
+ */
+function matchGlob(tokens, path) {
+  let states = withSkips(new Set([0]), tokens);
+  for (const char of path) {
+    const next = new Set();
+    for (const state of states) {
+      const index = state >> 1;
+      const token = tokens[index];
+      if (state % 2 === 1) {
+        next.add(state);
+        if (char === '/') {
+          next.add(2 * (index + 1));
+        }
+      } else if (token) {
+        for (const target of stepsOf(token, index, char)) {
+          next.add(target);
+        }
+      }
+    }
+    if (next.size === 0) {
+      return false;
+    }
+    states = withSkips(next, tokens);
+  }
+  return states.has(2 * tokens.length);
+}
+
+function stepsOf(token, index, char) {
+  const forward = 2 * (index + 1);
+  switch (token.type) {
+    case 'char':
+      return token.char === char ? [forward] : [];
+    case 'one':
+      return char === '/' ? [] : [forward];
+    case 'class': {
+      const listed = token.ranges.some(([low, high]) => char >= low && char <= high);
+      return char !== '/' && listed !== token.negated ? [forward] : [];
+    }
+    case 'name':
+      return char === '/' ? [] : [2 * index];
+    case 'any':
+      return [2 * index];
+    default:
+      // 'dirs': into its directories; a '/' can also end them right away
+      return char === '/' ? [2 * index + 1, forward] : [2 * index + 1];
+  }
+}
+
+/**
+ * *, ** and **\/ can match nothing at all: whoever is at one of them is also past it.
+ */
+function withSkips(states, tokens) {
+  for (const state of states) {
+    const token = tokens[state >> 1];
+    if (state % 2 === 0 && ['name', 'any', 'dirs'].includes(token?.type)) {
+      states.add(state + 2);
+    }
+  }
+  return states;
+}
+
+/**
+ * Read a file chunk by chunk and report every line `test` accepts.
+ *
+ * Files that look binary (a NUL byte in the first chunk, like grep checks) are skipped.
+ *
+ * @param {import('node:fs/promises').FileHandle} fileHandle
+ * @param {(line: string) => boolean} test - Decides whether a line matches
+ * @returns {AsyncGenerator<{ line: number, text: string }>} 1-based line numbers
+ */
+async function* matchLines(fileHandle, test) {
+  // Reused for every read: decoder.write() copies what it needs out of it
+  const chunk = Buffer.alloc(CHUNK_SIZE);
+  const decoder = new StringDecoder('utf8');
+  let carried = ''; // the unfinished last line of the previous chunk
+  let lineNumber = 0;
+  let position = 0;
+
+  while (true) {
+    const { bytesRead } = await fileHandle.read(chunk, 0, chunk.length, position);
+    if (bytesRead === 0) {
+      break;
+    }
+    if (position === 0 && chunk.subarray(0, bytesRead).includes(0)) {
+      return; // binary file
+    }
+    position += bytesRead;
+
+    const lines = (carried + decoder.write(chunk.subarray(0, bytesRead))).split('\n');
+    carried = lines.pop().slice(0, MAX_LINE_LENGTH);
+    for (const text of lines) {
+      lineNumber++;
+      const line = text.endsWith('\r') ? text.slice(0, -1) : text;
+      if (test(line)) {
+        yield { line: lineNumber, text: line };
+      }
+    }
+  }
+
+  const rest = carried + decoder.end();
+  const last = rest.endsWith('\r') ? rest.slice(0, -1) : rest;
+  if (rest && test(last)) {
+    yield { line: lineNumber + 1, text: last };
+  }
+}
+
+/**
+ * How a found file is shown: relative to the sandbox root, with '/' on every platform, so it
+ * can be pasted into the next command as it is.
+ *
+ * @param {string} root - Sandbox root
+ * @param {string} path - Absolute path inside it
+ * @returns {string} e.g. './src/app.js'
+ */
+function displayPath(root, path) {
+  return `./${relative(root, path).split(sep).join('/')}`;
+}
+
+export { compileGlob, displayPath, GlobError, matchLines, walk };
@@ -0,0 +1,202 @@
+/**
+ * Trash: deleted files are moved here instead of being unlinked
+ *
+ *   delete a file ./reports/q3.txt   → .trash/7-q3.txt, index entry { id: 7, originalPath, ... }
+ *   restore the file ./reports/q3.txt → moved back to its original path
+ *   empty the trash older than 30 days → gone for good
+ *
+ * The index (index.json inside the trash directory) remembers where every file came from, its
+ * size, when it was last modified and when it was deleted.
+ *
+ * Name collisions: two files called notes.txt from different directories, or the same path deleted
+ * twice, must not overwrite each other in the trash. Every trashed file gets the entry id as a
+ * prefix (7-notes.txt, 8-notes.txt), and a name that is somehow still taken (an index that was
+ * lost while files stayed behind) is skipped. Restoring a path that was deleted several times
+ * brings back the most recent deletion.
+ *
+ * The file on disk is what counts: undoing a delete moves the file out of the trash again, and
+ * an entry whose file is gone is simply skipped (and dropped when the trash is emptied).
+ *
+ * The index is data read from disk, so it is not trusted: an entry whose trashedPath is not a
+ * file directly inside the trash directory (edited to point at ../../etc/passwd, or at the index
+ * itself) is never restored or unlinked, and emptying the trash drops it.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - rename(), inodes, persistent storage
+ */
+
+import { basename, dirname, join, sep } from 'node:path';
+import { diskFs } from './fs-adapter.js';
+import { move, statIfExists } from './operations.js';
+
+const INDEX_FILE = 'index.json';
+
+class Trash {
+  /**
+   * @param {string} dir - Real path of the trash directory
+   * @param {{ nextId: number, entries: Array<Object> }} index - Loaded index
+   * @param {Object} fs - File system adapter the trash lives on (see fs-adapter.js)
+   */
+  constructor(dir, index, fs) {
+    this.dir = dir;
+    this.fs = fs;
+    this.indexFile = join(dir, INDEX_FILE);
+    this.index = index;
+  }
+
+  /**
+   * Create the trash directory if needed and load its index.
+   *
+   * @param {string} dir - Trash directory
+   * @param {Object} [fs] - File system adapter (see fs-adapter.js)
+   * @returns {Promise<Trash>}
+   */
+  static async open(dir, fs = diskFs) {
+    await fs.mkdir(dir, { recursive: true });
+    // Real path, so contains() works with the real paths the sandbox hands to handlers
+    const realDir = await fs.realpath(dir);
+    try {
+      const index = JSON.parse(await fs.readFile(join(realDir, INDEX_FILE), 'utf-8'));
+      return new Trash(realDir, index, fs);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(
+          `Trash index in ${realDir} is unreadable (${error.message}); starting a new one.`,
+        );
+      }
+      return new Trash(realDir, { nextId: 1, entries: [] }, fs);
+    }
+  }
+
+  /**
+   * @param {string} absPath - Absolute path
+   * @returns {boolean} true when the path is the trash directory or inside it
+   */
+  contains(absPath) {
+    return absPath === this.dir || absPath.startsWith(this.dir + sep);
+  }
+
+  /**
+   * Move a file into the trash.
+   *
+   * @param {string} path - Absolute path of the file
+   * @returns {Promise<{ id: number, originalPath: string, trashedPath: string, size: number, modifiedAt: string, deletedAt: string }>}
+   */
+  async put(path) {
+    const stats = await this.fs.lstat(path);
+
+    let id;
+    let trashedPath;
+    do {
+      id = this.index.nextId++;
+      trashedPath = join(this.dir, `${id}-${basename(path)}`);
+    } while (await statIfExists(trashedPath, this.fs));
+
+    // rename() when the trash is on the same file system, copy + unlink otherwise (see operations.js)
+    await move(path, trashedPath, this.fs);
+
+    const entry = {
+      id,
+      originalPath: path,
+      trashedPath,
+      size: stats.size,
+      modifiedAt: stats.mtime.toISOString(),
+      deletedAt: new Date().toISOString(),
+    };
+    this.index.entries.push(entry);
+    try {
+      await this._save();
+    } catch (error) {
+      // No index entry, no way to restore it: put the file back, so a failed delete (ENOSPC
+      // while writing the index) changes nothing
+      this.index.entries.pop();
+      await move(trashedPath, path, this.fs);
+      throw error;
+    }
+    return entry;
+  }
+
+  /**
+   * The most recent deletion of a path whose file is still in the trash.
+   *
+   * @param {string} originalPath - Absolute path the file was deleted from
+   * @returns {Promise<Object | null>} The index entry, or null when nothing can be restored
+   */
+  async find(originalPath) {
+    const candidates = this.index.entries.filter(
+      (entry) => entry.originalPath === originalPath && this._holds(entry),
+    );
+    for (const entry of candidates.reverse()) {
+      if (await statIfExists(entry.trashedPath, this.fs)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Permanently remove trashed files.
+   *
+   * @param {number} olderThanMs - Only files deleted at least this long ago (0 = everything)
+   * @returns {Promise<{ removed: number, bytes: number }>}
+   */
+  async empty(olderThanMs) {
+    const cutoff = Date.now() - olderThanMs;
+    const dropped = new Set();
+    let removed = 0;
+    let bytes = 0;
+
+    try {
+      for (const entry of this.index.entries) {
+        if (!this._holds(entry)) {
+          console.log(
+            `Dropped trash index entry ${entry.id}: ${entry.trashedPath} is not in the trash.`,
+          );
+          dropped.add(entry);
+          continue;
+        }
+        if (Date.parse(entry.deletedAt) > cutoff) {
+          continue;
+        }
+        try {
+          await this.fs.unlink(entry.trashedPath);
+          removed++;
+          bytes += entry.size;
+        } catch (error) {
+          // ENOENT: restored or undone in the meantime, only the index entry is left to drop
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+        dropped.add(entry);
+      }
+    } finally {
+      // Also when an unlink failed halfway: the files removed up to then must leave the index
+      this.index.entries = this.index.entries.filter((entry) => !dropped.has(entry));
+      await this._save();
+    }
+    return { removed, bytes };
+  }
+
+  /**
+   * @returns {boolean} true when the entry's file is one put() could have created
+   */
+  _holds(entry) {
+    const { trashedPath } = entry;
+    return (
+      typeof trashedPath === 'string' &&
+      dirname(trashedPath) === this.dir &&
+      trashedPath !== this.indexFile &&
+      !trashedPath.startsWith(`${this.indexFile}.`)
+    );
+  }
+
+  async _save() {
+    // Write-then-rename: a crash mid-write never leaves a half-written index behind
+    const tempFile = `${this.indexFile}.tmp`;
+    await this.fs.writeFile(tempFile, JSON.stringify(this.index, null, 2));
+    await this.fs.rename(tempFile, this.indexFile);
+  }
+}
+
+export { Trash };
@@ -0,0 +1,222 @@
+/**
+ * Watch Backends: native fs.watch, stat polling, or native with a polling fallback
+ *
+ * fs.watch asks the operating system to report changes (inotify on Linux, FSEvents on macOS,
+ * ReadDirectoryChangesW on Windows). It is instant and costs nothing while nothing changes, but
+ * there are places where the events simply never arrive:
+ *
+ * - network mounts (NFS, SMB): the change happens on another machine, the local kernel never
+ *   sees it
+ * - some containers and bind mounts (Docker Desktop, WSL 2 accessing Windows drives, Vagrant)
+ * - too many watchers: inotify has a per-user limit (fs.inotify.max_user_watches)
+ *
+ * Polling does not depend on the OS: it calls stat() every `intervalMs` and compares the result
+ * with the previous one. It always works, but reacts only after up to one interval and costs one
+ * stat() per interval even when nothing changes.
+ *
+ *   backend   reports changes                     cost while idle
+ *   native    right away (when the OS delivers)   nothing
+ *   poll      within intervalMs                   one stat() per interval
+ *   auto      right away; within intervalMs       one stat() per interval
+ *             after falling back to polling
+ *
+ * Every backend is an async iterable of { eventType, filename } objects, exactly like
+ * fs.watch() from node:fs/promises, and ends with an AbortError when `signal` is aborted. The
+ * watcher loop in watcher.js does not need to know which one it got.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - stat(), inodes, timestamps
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - Async generators,
+ *   AbortController
+ */
+
+import { basename } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { diskFs } from './fs-adapter.js';
+
+const WATCH_BACKENDS = ['native', 'poll', 'auto'];
+
+/**
+ * Watch a file or directory with the chosen backend.
+ *
+ * @param {string} path - File or directory to watch
+ * @param {Object} options
+ * @param {'native' | 'poll' | 'auto'} options.backend - See the table above
+ * @param {number} options.intervalMs - Poll interval (poll and auto)
+ * @param {AbortSignal} options.signal - Ends the iteration with an AbortError
+ * @param {Object} [options.fs] - File system adapter whose watch() and stat() are used (see
+ *   fs-adapter.js)
+ * @returns {AsyncIterable<{ eventType: 'change' | 'rename', filename: string }>}
+ */
+function watchPath(path, { backend, intervalMs, signal, fs = diskFs }) {
+  switch (backend) {
+    case 'native':
+      return fs.watch(path, { signal });
+    case 'poll':
+      return pollWatch(path, { intervalMs, signal, fs });
+    case 'auto':
+      return autoWatch(path, { intervalMs, signal, fs });
+    default:
+      throw new Error(
+        `Unknown watch backend "${backend}" (expected one of: ${WATCH_BACKENDS.join(', ')}).`,
+      );
+  }
+}
+
+/**
+ * Polling: stat() every `intervalMs` and report what differs.
+ */
+async function* pollWatch(path, { intervalMs, signal, fs }) {
+  let previous = await snapshot(path, fs);
+  while (true) {
+    // Rejects with an AbortError when the signal is aborted, which ends the iteration
+    await sleep(intervalMs, undefined, { signal });
+    const current = await snapshot(path, fs);
+    const eventType = compare(previous, current);
+    previous = current;
+    if (eventType) {
+      yield { eventType, filename: basename(path) };
+    }
+  }
+}
+
+/**
+ * Native events, checked by a poller. When the poller sees a change and no native event arrives
+ * for a whole interval after it, native events are assumed to be broken on this file system:
+ * the native watcher is closed and polling takes over for good.
+ *
+ *   poll ticks:    |        |        |        |
+ *   file changes:     x
+ *   native event:      e                         ok: reported before the next tick
+ *   native event:  (none)            ^ fall back: a whole interval passed without one
+ *
+ * Two sources produce events here, so they go through a small queue that the generator drains.
+ */
+async function* autoWatch(path, { intervalMs, signal, fs }) {
+  const queue = [];
+  let wake = null;
+  const push = (item) => {
+    queue.push(item);
+    wake?.();
+  };
+
+  // Stops both sources, when the caller aborts or stops iterating (return())
+  const stop = new AbortController();
+  const onAbort = () => stop.abort(signal.reason);
+  signal.addEventListener('abort', onAbort, { once: true });
+  const nativeStop = new AbortController();
+
+  let nativeSeen = false; // a native event arrived since the last poll tick
+  let polling = false;
+  const fallBack = (reason) => {
+    if (polling) {
+      return;
+    }
+    polling = true;
+    nativeStop.abort();
+    console.log(`Watch: ${reason}; falling back to polling ${path} every ${intervalMs} ms.`);
+  };
+
+  // Not awaited: both loops run next to the generator and report through the queue
+  (async () => {
+    try {
+      for await (const event of fs.watch(path, { signal: nativeStop.signal })) {
+        nativeSeen = true;
+        if (!polling) {
+          push(event);
+        }
+      }
+    } catch (error) {
+      // An error when starting (for example ENOSPC: inotify watch limit reached) or later
+      if (error.name !== 'AbortError') {
+        fallBack(`fs.watch failed (${error.message})`);
+      }
+    }
+  })();
+
+  (async () => {
+    try {
+      let previous = await snapshot(path, fs);
+      let unconfirmed = false; // the poller saw a change that native has not reported yet
+      while (true) {
+        await sleep(intervalMs, undefined, { signal: stop.signal });
+        const current = await snapshot(path, fs);
+        const eventType = compare(previous, current);
+        previous = current;
+
+        if (!polling && unconfirmed && !nativeSeen) {
+          fallBack('native events stopped arriving');
+          // The change native never reported
+          push({ eventType: 'change', filename: basename(path) });
+        }
+        if (polling) {
+          if (eventType) {
+            push({ eventType, filename: basename(path) });
+          }
+          continue;
+        }
+        // Only an in-place change says something about native events: after a 'rename' the native
+        // watcher still follows the old inode (the caller starts a new watch, see watcher.js)
+        unconfirmed = eventType === 'change' && !nativeSeen;
+        nativeSeen = false;
+      }
+    } catch (error) {
+      // An AbortError here ends the iteration, like fs.watch does
+      push({ error });
+    }
+  })();
+
+  try {
+    while (true) {
+      if (queue.length === 0) {
+        await new Promise((resolve) => {
+          wake = resolve;
+        });
+        wake = null;
+      }
+      const item = queue.shift();
+      if (item.error) {
+        throw item.error;
+      }
+      yield item;
+    }
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+    stop.abort();
+    nativeStop.abort();
+  }
+}
+
+/**
+ * What polling compares: existence, inode, size and modification time.
+ */
+async function snapshot(path, fs) {
+  try {
+    const { ino, size, mtimeMs } = await fs.stat(path);
+    return { ino, size, mtimeMs };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 'rename' when the path now points at something else (created, deleted or replaced),
+ * 'change' when the same file was modified, null when nothing differs.
+ *
+ * Note: a write that keeps the size and lands within the timestamp resolution of the file system
+ * (1 s on some network mounts) is invisible to polling.
+ */
+function compare(previous, current) {
+  if (previous?.ino !== current?.ino) {
+    return 'rename';
+  }
+  if (current && (previous.size !== current.size || previous.mtimeMs !== current.mtimeMs)) {
+    return 'change';
+  }
+  return null;
+}
+
+export { WATCH_BACKENDS, watchPath };
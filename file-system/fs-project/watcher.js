@@ -0,0 +1,558 @@
+/**
+ * Command File Watcher: the whole watcher as a class that can be embedded in another process
+ *
+ * app.js runs one of these from the command line. A service can host its own instead, with its
+ * own settings, and react to what happens:
+ *
+ *   import { CommandFileWatcher } from './file-system/fs-project/watcher.js';
+ *
+ *   const watcher = new CommandFileWatcher({ commandFile: '/srv/jobs/cmd.txt', root: '/srv/data' });
+ *   watcher.on('executed', (result) => metrics.count(result.verb, result.status));
+ *   watcher.on('rejected', (result) => alert(result.command, result.code));
+ *   watcher.on('error', (error) => logger.error(error));
+ *   await watcher.start();
+ *   // ...
+ *   await watcher.stop();
+ *
+ * Events:
+ * - 'command'  ({ id, line, command, verb, args })  a parsed command is about to run
+ * - 'executed' (result)  a command ran; `result` is its result log line (see results.js), with
+ *                        status 'ok', 'error', 'rolled-back', 'planned' or 'held'
+ * - 'rejected' (result)  a line was never run: it did not parse, left the sandbox, needed a
+ *                        confirmation inside a transaction, went over a quota (status
+ *                        'rejected'), or its transaction failed before reaching it (status
+ *                        'skipped')
+ * - 'error'    (error)   a batch failed unexpectedly, or watching stopped working. Like any
+ *                        EventEmitter 'error' it is special: without a listener it would throw,
+ *                        so without one the watcher logs the error instead
+ *
+ * `watcher.quota.usage()` returns the quota counters (see quota.js) while the watcher runs.
+ *
+ * The `fs` option swaps the file system the commands work on (see fs-adapter.js): the sandbox,
+ * the trash, the command file or inbox and every command go through it, while the watcher's own
+ * records (history, result log, audit log, journal offset, pending confirmations) stay on disk.
+ * With a MemoryFs (see memory-fs.js) a test runs whole command files without touching the disk:
+ *
+ *   const memoryFs = new MemoryFs();
+ *   await memoryFs.mkdir('/data');
+ *   await memoryFs.writeFile('/data/command.txt', '');
+ *   const watcher = new CommandFileWatcher({
+ *     fs: memoryFs,
+ *     root: '/data',
+ *     commandFile: '/data/command.txt',
+ *   });
+ *
+ * Listeners run synchronously inside the batch (EventEmitter.emit() is synchronous); a slow
+ * listener delays the next command.
+ *
+ * Related fundamentals:
+ * - [File Systems](../../docs/fundamentals/file-systems.md) - FileHandle, file descriptors, inodes
+ * - [Asynchronous Programming](../../docs/fundamentals/async-programming.md) - async/await,
+ *   AbortController
+ * - [EventEmitter](../../emitters/) - on(), emit() and the special 'error' event
+ */
+
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { dirname, resolve } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { fileURLToPath } from 'node:url';
+import { AuditLog } from './audit.js';
+import config from './config.js';
+import { PendingConfirmations } from './confirmations.js';
+import { executeScript } from './executor.js';
+import { checkAdapter, diskFs } from './fs-adapter.js';
+import { CommandHistory } from './history.js';
+import { CommandInbox } from './inbox.js';
+import { CommandJournal } from './journal.js';
+import { QuotaTracker } from './quota.js';
+import { CommandRegistry } from './registry.js';
+import { ResultLog } from './results.js';
+import { Sandbox } from './sandbox.js';
+import { ChangeScheduler } from './scheduler.js';
+import { parseScript } from './script.js';
+import { Trash } from './trash.js';
+import { WATCH_BACKENDS, watchPath } from './watch-backend.js';
+
+// The watcher's own modules (and, by default, its plugins and records)
+const PROGRAM_DIR = dirname(fileURLToPath(import.meta.url));
+
+// Results with these statuses are reported as 'rejected'; every other one as 'executed'
+const NOT_RUN_STATUSES = ['rejected', 'skipped'];
+
+class CommandFileWatcher extends EventEmitter {
+  /**
+   * @param {Object} [options] - Any setting of config.js; the ones not given come from there
+   * @param {string} [options.commandFile] - File commands are read from
+   * @param {string} [options.root] - Sandbox root every command path is confined to
+   * @param {Object} [options.fs] - File system adapter (see fs-adapter.js); the disk by default
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { ...config, ...options };
+    this.fs = this.options.fs ?? diskFs;
+
+    this.context = null;
+    this.results = null;
+    this.quota = null;
+    this.journal = null;
+    this.inbox = null;
+    this.scheduler = null;
+    this.commandFileHandler = null;
+
+    this._shutdown = null; // AbortController of the running watch loop
+    this._watching = null; // Promise of the running watch loop
+    this._onWatching = null; // Resolves start() once the first watch is running
+  }
+
+  /**
+   * Load everything, catch up on work that arrived while nothing was watching, and start
+   * watching. Resolves once watching has started; the watcher then runs until stop().
+   *
+   * @returns {Promise<this>}
+   */
+  async start() {
+    if (this._shutdown) {
+      throw new Error('The watcher is already running.');
+    }
+    const options = this.options;
+    if (!WATCH_BACKENDS.includes(options.watchBackend)) {
+      throw new Error(
+        `Unknown watch backend "${options.watchBackend}" (expected one of: ${WATCH_BACKENDS.join(', ')}).`,
+      );
+    }
+    checkAdapter(this.fs);
+
+    // Every verb is a plugin module; a plugin that does not load fails start() (see registry.js)
+    const registry = await CommandRegistry.load(options.pluginDirs);
+    console.log(
+      `Loaded ${registry.grammar.length} command phrase(s) from ${options.pluginDirs.join(', ')}`,
+    );
+
+    // Every command path is confined to this root (see sandbox.js); relative paths resolve
+    // against it
+    const sandbox = await Sandbox.create(options.root, this.fs);
+    console.log(`Sandbox root: ${sandbox.root}`);
+    // ...but never to the watcher's own code and records, even when the root contains them
+    await sandbox.protect([
+      PROGRAM_DIR,
+      ...options.pluginDirs,
+      options.commandFile,
+      options.inboxDir,
+      options.journalStateFile,
+      options.historyFile,
+      options.resultsFile,
+      options.auditFile,
+      options.pendingFile,
+    ]);
+
+    // `delete a file` moves files here; `restore the file` brings them back (see trash.js)
+    const trash = await Trash.open(resolve(sandbox.root, options.trashDir), this.fs);
+    console.log(`Trash: ${trash.dir}`);
+    // Only through delete, restore and empty: a command that writes into the trash could forge
+    // index entries, or unlink what undo would bring back
+    await sandbox.protect([trash.dir]);
+
+    // Executed commands and how to revert them, persisted for `undo` (see history.js)
+    const history = await CommandHistory.load(options.historyFile, options.historyLimit);
+
+    // One JSON line per processed command, for tools that write command.txt (see results.js)
+    this.results = new ResultLog(options.resultsFile);
+
+    // Destructive commands wait for `confirm <id>` when the policy asks for it (see confirmations.js)
+    const confirmations =
+      options.confirmPolicy === 'destructive'
+        ? await PendingConfirmations.load(options.pendingFile, options.confirmTtlMs)
+        : null;
+
+    // Limits on command length, file size, bytes written and files created (see quota.js)
+    this.quota = new QuotaTracker(options);
+
+    // Durable record of what every command did to which absolute paths (see audit.js)
+    const audit = await AuditLog.open(options.auditFile, {
+      maxBytes: options.auditMaxBytes,
+      keep: options.auditKeep,
+      fsync: options.fsync,
+    });
+
+    if (options.dryRun) {
+      console.log('Dry run: commands are reported, nothing on disk is changed.');
+    }
+
+    // Shared by every command handler (see executor.js)
+    this.context = {
+      fs: this.fs,
+      sandbox,
+      history,
+      // Every result goes to the result log, then to the listeners
+      results: {
+        write: async (result) => {
+          await this.results.write(result);
+          this.emit(NOT_RUN_STATUSES.includes(result.status) ? 'rejected' : 'executed', result);
+        },
+      },
+      registry,
+      trash,
+      readLimit: options.readLimit,
+      searchDepth: options.searchDepth,
+      fsync: options.fsync,
+      dryRun: options.dryRun,
+      confirmations,
+      quota: this.quota,
+      audit,
+      // The executor announces every command here before it runs ('command')
+      events: this,
+    };
+
+    // Journal mode: run only newly appended lines, remembering the byte offset (see journal.js)
+    this.journal =
+      options.mode === 'journal' ? await CommandJournal.load(options.journalStateFile) : null;
+
+    // Inbox mode: every file dropped into the inbox is one job, claimed by rename (see inbox.js)
+    this.inbox =
+      options.mode === 'inbox' ? await CommandInbox.open(options.inboxDir, this.fs) : null;
+
+    // FileHandle: Opens file once, keeps it open for multiple reads (see [File Systems](../../docs/fundamentals/file-systems.md) for file descriptors)
+    // Advantage: Reuses same handle instead of opening/closing each time
+    // See README.md for detailed FileHandle explanation
+    // (inbox mode never reads command.txt, so it does not need to exist)
+    this.commandFileHandler = this.inbox ? null : await this._openCommandFile();
+
+    // Batches run through the scheduler instead of `commandFileHandler.emit('change')`:
+    // emit() starts every async listener immediately, so duplicate fs.watch events used to start
+    // overlapping runs. The scheduler merges events within the settle window and runs one batch
+    // at a time (see scheduler.js).
+    this.scheduler = new ChangeScheduler({
+      settleMs: options.settleMs,
+      run: async () => {
+        await this._onCommandFileChange();
+        const stats = this.scheduler.getStats();
+        console.log(
+          `Batch #${stats.batchesRun + 1} done (events received: ${stats.eventsReceived}, dropped: ${stats.eventsDropped}).`,
+        );
+      },
+      onError: (error) => this._fail(error),
+    });
+
+    try {
+      if (this.journal) {
+        // Catch up on lines appended while the watcher was not running
+        await this._runJournal();
+      }
+
+      if (this.inbox) {
+        const interrupted = await this.inbox.recover();
+        if (interrupted > 0) {
+          console.log(`Moved ${interrupted} interrupted job(s) to ${this.inbox.failedDir}.`);
+        }
+        console.log(`Inbox: ${this.inbox.dir}`);
+        // Run the jobs that arrived while the watcher was not running
+        await this._runInbox();
+      }
+    } catch (error) {
+      // Nothing is watched yet, so stop() would find nothing to stop: close the command file
+      // handle here instead of leaking it
+      await this._release();
+      throw error;
+    }
+
+    if (options.watchBackend !== 'native') {
+      console.log(
+        `Watch backend: ${options.watchBackend} (poll interval ${options.pollIntervalMs} ms)`,
+      );
+    }
+
+    // Not awaited: the loop runs until stop() aborts it. start() only waits until the first
+    // watch is running, so a change made right after `await watcher.start()` is not missed
+    const watching = new Promise((resolve) => {
+      this._onWatching = resolve;
+    });
+    this._shutdown = new AbortController();
+    this._watching = this._watch(this._shutdown.signal).catch((error) => this._fail(error));
+    await Promise.race([watching, this._watching]);
+    return this;
+  }
+
+  /**
+   * Stop watching: the running batch is allowed to finish (a transaction is never cut in half),
+   * then the command file handle is closed. Resolves once everything is closed.
+   */
+  async stop() {
+    if (!this._shutdown) {
+      return;
+    }
+    // fs.watch(path, { signal }) ends its async iterator with an AbortError
+    this._shutdown.abort();
+    await this._watching;
+    await this._release();
+    this._shutdown = null;
+    this._watching = null;
+  }
+
+  /**
+   * Close what start() opened: the scheduler (a pending settle timer) and the command file handle.
+   */
+  async _release() {
+    await this.scheduler?.stop();
+    await this.commandFileHandler?.close();
+    this.commandFileHandler = null;
+    await this.inbox?.close();
+  }
+
+  async _openCommandFile() {
+    return this.fs.open(this.options.commandFile, 'r');
+  }
+
+  /**
+   * Many editors save by writing a new file and renaming it over command.txt. The open handle
+   * keeps pointing at the old inode (it would read the old content forever), so compare inodes
+   * and reopen. Runs inside a batch, so no read is using the handle while it is swapped.
+   *
+   * @returns {Promise<boolean>} false when nothing is at the path right now (mid-replace)
+   */
+  async _reopenIfReplaced() {
+    const commandTextFile = this.options.commandFile;
+    let onDisk;
+    try {
+      onDisk = await this.fs.stat(commandTextFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`${commandTextFile} is missing; waiting for it to come back.`);
+        return false;
+      }
+      throw error;
+    }
+    if (onDisk.ino !== (await this.commandFileHandler.stat()).ino) {
+      console.log(`${commandTextFile} was replaced; reopening it.`);
+      await this.commandFileHandler.close();
+      this.commandFileHandler = await this._openCommandFile();
+    }
+    return true;
+  }
+
+  async _onCommandFileChange() {
+    if (this.inbox) {
+      await this._runInbox();
+      return;
+    }
+    if (!(await this._reopenIfReplaced())) {
+      return;
+    }
+    if (this.journal) {
+      await this._runJournal();
+      return;
+    }
+
+    // FileHandle.read() - Reads from current position
+    // Returns: { bytesRead: number, buffer: Buffer }
+    // const data = await commandFileHandler.read();
+
+    // Convert buffer to string for display
+    // console.log(data.buffer.toString('utf-8'));
+
+    // Note: Keep handle open for multiple reads (don't close inside loop)
+    // Close handle when done (in stop())
+
+    const size = (await this.commandFileHandler.stat()).size;
+    // Allocate our buffer with the size of our file.
+    const buff = Buffer.alloc(size);
+    // The number of bytes in the buffer (how many bytes we want to read).
+    const length = buff.byteLength;
+    // console.log(`Size of file: ${size} and byteLength of buffer: ${length}`); // Size of file: 6 and byteLength of buffer: 6
+
+    // offset: The location in the buffer where data will start being written (0 = start of buffer)
+    const offset = 0;
+    // position: The location in the file where reading will start (0 = start of file)
+    const position = 0;
+
+    // We always want to read the whole content (from the beginning all the way to the end).
+    // Alternative method: Using read() without parameters reads from current file position
+    // (see commented code above). This method with explicit parameters
+    // gives us full control over buffer offset and file position.
+    // We can directly look into buff variable as the read content will be saved to the passed parameter buffer
+
+    await this.commandFileHandler.read(buff, offset, length, position);
+
+    // console.log(buff); // <Buffer 68 65 6c 6c 6f 0a> // "hello" with new line
+    const scriptText = buff.toString('utf-8');
+
+    // Every line is its own command; begin/commit lines group commands into a transaction
+    // (see script.js for the script format and executor.js for rollback)
+    await executeScript(parseScript(scriptText, this.context.registry.grammar), this.context);
+  }
+
+  async _runJournal() {
+    // A rotated command file was already reopened by _reopenIfReplaced(); journal.js notices the
+    // new inode and starts again from byte 0
+    // One read is bounded (see journal.js), so keep going until nothing complete is left
+    let appended;
+    while ((appended = await this.journal.readAppended(this.commandFileHandler))) {
+      if (appended.rejected) {
+        // Too large to ever arrive in one read; the journal skips it, the writer gets a result
+        await this.context.results.write({
+          id: randomUUID(),
+          line: appended.rejected.line,
+          command: appended.rejected.command,
+          verb: null,
+          args: null,
+          status: 'rejected',
+          code: 'E2BIG',
+          message: 'The block or heredoc does not fit in one journal read',
+          durationMs: 0,
+          finishedAt: new Date().toISOString(),
+        });
+        continue;
+      }
+      // Save the new offset first: at-most-once, so a crash never re-runs these lines
+      await this.journal.advance(appended.byteLength, appended.lineCount);
+      const { grammar } = this.context.registry;
+      await executeScript(parseScript(appended.text, grammar, appended.firstLine), this.context);
+    }
+  }
+
+  async _runInbox() {
+    for (const name of await this.inbox.pending()) {
+      const job = await this.inbox.claim(name);
+      if (!job) {
+        continue; // another watcher claimed it first
+      }
+
+      // Every result still goes to the shared result log (and the listeners), and is also kept
+      // for the job's own <job>.result.jsonl file next to it in done/ or failed/
+      const jobResults = [];
+      const jobContext = {
+        ...this.context,
+        results: {
+          write: async (result) => {
+            jobResults.push({ job: job.name, ...result });
+            await this.context.results.write({ job: job.name, ...result });
+          },
+        },
+      };
+
+      let error;
+      try {
+        const text = await this.inbox.read(job);
+        await executeScript(parseScript(text, this.context.registry.grammar), jobContext);
+      } catch (caught) {
+        error = caught;
+        console.log(`Job ${job.name} could not run: ${caught.message}`);
+      }
+      try {
+        const finishedAt = await this.inbox.finish(job, jobResults, error);
+        console.log(`Job ${job.name} finished: ${finishedAt}`);
+      } catch (caught) {
+        // The job ran; only moving it failed. It stays in the claim directory, and the next jobs
+        // still run
+        console.log(`Job ${job.name} could not be moved out of processing: ${caught.message}`);
+      }
+    }
+  }
+
+  /**
+   * Watch until shutdown, starting a new watch whenever the watched file is replaced.
+   */
+  async _watch(signal) {
+    const watchedPath = this.inbox ? this.inbox.dir : this.options.commandFile;
+    let replaced = false;
+    while (await this._waitForPath(watchedPath, signal)) {
+      if (replaced) {
+        // The new file has not been read yet; the batch starts after the settle window, by which
+        // time the new watch is running, and reopens the handle (see _reopenIfReplaced)
+        this.scheduler.notify();
+      }
+      await this._watchUntilReplaced(watchedPath, signal);
+      replaced = true;
+    }
+  }
+
+  /**
+   * Watch until the watched file is renamed, replaced or deleted, or until shutdown.
+   *
+   * fs.watch follows the inode, not the path: after an editor renames a new file over
+   * command.txt, a watcher started earlier only reports events for the old (now unlinked) file.
+   * The event type does not tell us reliably either: while our FileHandle keeps the old inode
+   * alive, deleting command.txt only reports a 'change'. So every event compares the inode at
+   * the path with the watched one, and a difference ends this watch; the caller starts a new
+   * one on whatever is at the path now.
+   *
+   * Inbox mode watches the directory instead: a job arriving (renamed or created in it) is a
+   * 'rename' event there, and the directory itself is never replaced. Claiming a job renames it
+   * out of the directory, which reports a 'rename' too; those echoes are skipped.
+   *
+   * The events come from fs.watch or from a stat() poller, depending on the watch backend
+   * (see watch-backend.js).
+   */
+  async _watchUntilReplaced(path, signal) {
+    const watched = await inodeAt(path, this.fs);
+    try {
+      const events = watchPath(path, {
+        backend: this.options.watchBackend,
+        intervalMs: this.options.pollIntervalMs,
+        signal,
+        fs: this.fs,
+      });
+      // for await calls next() right after this, which starts the watch before any other code runs
+      this._onWatching?.();
+      this._onWatching = null;
+      for await (const event of events) {
+        if (this.inbox) {
+          if (await this.inbox.isOwnRename(event.filename)) {
+            continue;
+          }
+        } else if ((await inodeAt(path, this.fs)) !== watched) {
+          return;
+        }
+        this.scheduler.notify();
+      }
+    } catch (error) {
+      // Aborting the signal ends the async iterator with an AbortError
+      if (error.name !== 'AbortError') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Resolves once something exists at `path` again (false if shutdown came first).
+   */
+  async _waitForPath(path, signal) {
+    while (!signal.aborted) {
+      try {
+        await this.fs.access(path);
+        return true;
+      } catch {
+        await sleep(this.options.settleMs, undefined, { signal }).catch(() => {});
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Report an unexpected error. Emitting 'error' without a listener throws, and a watcher that
+   * is hosted in a service must not take it down, so then the error is only logged.
+   */
+  _fail(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.log(`Watcher error: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Inode number of whatever is at `path` (null when nothing is).
+ */
+async function inodeAt(path, fs) {
+  try {
+    return (await fs.stat(path)).ino;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export { CommandFileWatcher };
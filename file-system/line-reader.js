@@ -0,0 +1,138 @@
+/**
+ * File System: Reading Large Files Line by Line
+ *
+ * fs.readFile() loads the whole file into one Buffer and one string. For a log of a few GB that
+ * means a few GB of memory, and past the maximum string length (about 512 MB) it fails outright.
+ * readLines() reads the file through a FileHandle in 64 KiB chunks into ONE reused Buffer and
+ * yields one line at a time, so memory use stays the same whatever the file size.
+ *
+ *   for await (const { text, offset } of readLines('/var/log/app.log')) {
+ *     if (text.includes('ERROR')) console.log(`byte ${offset}: ${text}`);
+ *   }
+ *
+ * Lines are split on the newline BYTE (0x0a), before decoding. In UTF-8, latin1 and ascii that
+ * byte never occurs inside a multi-byte character, so the byte offset of every line is exact:
+ *
+ *   bytes:   h  é     \r \n w  o  r  l  d  \n
+ *            0  1  2  3  4  5  6  7  8  9  10
+ *   lines:   { text: 'hé', offset: 0, nextOffset: 5 }  { text: 'world', offset: 5, nextOffset: 11 }
+ *
+ * Why a StringDecoder: a chunk boundary can fall inside a multi-byte character ('é' is 2 bytes,
+ * '€' 3, an emoji 4). Decoding each chunk with buffer.toString() would turn both halves into
+ * U+FFFD; the decoder keeps the incomplete bytes until the next chunk completes them.
+ *
+ * CRLF: a '\r' right before the '\n' is part of the line ending, not of the text (Windows logs).
+ *
+ * Long lines: one huge line (a minified bundle, a JSON dump) must not undo the memory bound.
+ * Only the first `maxLineLength` characters of a line are kept; the line is still read to its
+ * end and comes with `truncated: true`.
+ *
+ * Resuming: `nextOffset` is where the following line starts. Passing the last one seen as
+ * `startOffset` continues there later (e.g. after new lines were appended to a log), without
+ * reading the start of the file again.
+ *
+ * Related fundamentals:
+ * - [File Systems](../docs/fundamentals/file-systems.md) - FileHandle, positioned reads
+ * - [Asynchronous Programming](../docs/fundamentals/async-programming.md) - Async generators
+ * - [Binary Data](../docs/fundamentals/binary-data.md) - UTF-8 multi-byte sequences
+ * - [Buffers](../buffers/) - Reusing one Buffer for every read
+ */
+
+import fsp from 'node:fs/promises';
+import { StringDecoder } from 'node:string_decoder';
+
+const CHUNK_SIZE = 64 * 1024; // 64 KiB per read() call
+const NEWLINE = 0x0a;
+// Encodings in which the byte 0x0a is always a newline (not so in utf-16le, where '\n' is 0a 00
+// and 0a can also be half of another character)
+const LINE_ENCODINGS = ['utf8', 'utf-8', 'latin1', 'ascii'];
+
+/**
+ * Read a file line by line.
+ *
+ * @param {string} path - File to read
+ * @param {Object} [options]
+ * @param {'utf8' | 'utf-8' | 'latin1' | 'ascii'} [options.encoding] - How lines are decoded
+ * @param {number} [options.maxLineLength] - Characters kept per line; the rest is skipped
+ * @param {number} [options.startOffset] - Byte offset to start at; should be the start of a line
+ *   (a `nextOffset` from an earlier read), otherwise the first line is the tail of one
+ * @returns {AsyncGenerator<{ text: string, offset: number, nextOffset: number, truncated: boolean }>}
+ *   `text` without its line ending; `offset` is the byte offset where the line starts,
+ *   `nextOffset` where the next one starts
+ * @throws {Error} For an encoding in which lines cannot be split by byte
+ */
+async function* readLines(
+  path,
+  { encoding = 'utf-8', maxLineLength = 64 * 1024, startOffset = 0 } = {},
+) {
+  if (!LINE_ENCODINGS.includes(encoding.toLowerCase())) {
+    throw new Error(
+      `readLines() cannot split ${encoding} text (expected one of: ${LINE_ENCODINGS.join(', ')})`,
+    );
+  }
+
+  const fileHandle = await fsp.open(path, 'r');
+  try {
+    // Reused for every read: decoder.write() copies what it needs out of it
+    const chunk = Buffer.alloc(CHUNK_SIZE);
+    const decoder = new StringDecoder(encoding);
+    let position = startOffset; // file offset of chunk[0]
+    let lineStart = startOffset;
+    let text = ''; // the current line so far
+    let cut = false; // characters of the current line were dropped
+
+    // +1: room for a '\r' that turns out to be part of a CRLF line ending
+    const append = (decoded) => {
+      if (cut) {
+        return;
+      }
+      text += decoded;
+      if (text.length > maxLineLength + 1) {
+        text = text.slice(0, maxLineLength + 1);
+        cut = true;
+      }
+    };
+
+    const finishLine = (nextOffset) => {
+      if (!cut && text.endsWith('\r')) {
+        text = text.slice(0, -1);
+      }
+      const truncated = cut || text.length > maxLineLength;
+      const line = { text: text.slice(0, maxLineLength), offset: lineStart, nextOffset, truncated };
+      lineStart = nextOffset;
+      text = '';
+      cut = false;
+      return line;
+    };
+
+    while (true) {
+      const { bytesRead } = await fileHandle.read(chunk, 0, chunk.length, position);
+      if (bytesRead === 0) {
+        break;
+      }
+      const bytes = chunk.subarray(0, bytesRead);
+
+      let start = 0;
+      let newline;
+      while ((newline = bytes.indexOf(NEWLINE, start)) !== -1) {
+        // end() flushes the decoder: a character cut off by the newline cannot be completed
+        append(decoder.write(bytes.subarray(start, newline)) + decoder.end());
+        yield finishLine(position + newline + 1);
+        start = newline + 1;
+      }
+      append(decoder.write(bytes.subarray(start)));
+      position += bytesRead;
+    }
+
+    // A last line without a line ending
+    append(decoder.end());
+    if (position > lineStart) {
+      yield finishLine(position);
+    }
+  } finally {
+    // Also runs when the caller stops early (break out of for await)
+    await fileHandle.close();
+  }
+}
+
+export { readLines };